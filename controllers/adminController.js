@@ -0,0 +1,315 @@
+const User = require('../models/User');
+const Class = require('../models/Class');
+const Media = require('../models/Media');
+const Assignment = require('../models/Assignment');
+const Practice = require('../models/Practice');
+const Session = require('../models/Session');
+const { validationResult } = require('express-validator');
+const { schoolScope } = require('../middleware/auth');
+const { sendPasswordResetEmail } = require('../utils/emails');
+const { recordAudit } = require('../utils/audit');
+
+// Helper: escape user input before using it in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List and search users
+const listUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, role, status, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = { ...schoolScope(req.user) };
+    if (role) query.role = role;
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    // Get paginated results
+    const skip = (page - 1) * limit;
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Deactivate a user and sign them out everywhere
+const deactivateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user._id.equals(userId)) {
+      return res.status(400).json({
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await User.findOne({ _id: userId, ...schoolScope(req.user) });
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    user.isActive = false;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'deactivated');
+
+    res.json({
+      message: 'User deactivated successfully',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Reactivate a user
+const reactivateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ _id: userId, ...schoolScope(req.user) });
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    user.isActive = true;
+    await user.save();
+
+    res.json({
+      message: 'User reactivated successfully',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Reset a user's password: set a temporary one, or email a reset link
+const resetUserPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { newPassword } = req.body;
+
+    const user = await User.findOne({ _id: userId, ...schoolScope(req.user) });
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (!newPassword) {
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+      const token = user.createPasswordResetToken(expiresInMinutes);
+      await user.save();
+
+      await sendPasswordResetEmail(user, token, expiresInMinutes);
+
+      await recordAudit(req, {
+        action: 'password_reset',
+        schoolId: user.schoolId,
+        targetType: 'User',
+        targetId: user._id,
+        after: { method: 'email_sent_by_admin' }
+      });
+
+      return res.json({
+        message: 'Password reset email sent'
+      });
+    }
+
+    user.password = newPassword;
+    user.resetLoginFailures();
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset_by_admin');
+
+    await recordAudit(req, {
+      action: 'password_reset',
+      schoolId: user.schoolId,
+      targetType: 'User',
+      targetId: user._id,
+      after: { method: 'set_by_admin' }
+    });
+
+    res.json({
+      message: 'Password reset successfully. The user has been signed out everywhere.'
+    });
+  } catch (error) {
+    console.error('Admin reset password error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Reassign a class to another teacher
+const reassignClassOwner = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { classId } = req.params;
+    const { teacherId } = req.body;
+
+    const classData = await Class.findOne({ _id: classId, ...schoolScope(req.user) });
+    if (!classData) {
+      return res.status(404).json({
+        message: 'Class not found'
+      });
+    }
+
+    // The new owner must teach at the same school as the class
+    const teacher = await User.findOne({
+      _id: teacherId,
+      role: 'teacher',
+      schoolId: classData.schoolId,
+      isActive: true
+    });
+    if (!teacher) {
+      return res.status(404).json({
+        message: 'Teacher not found'
+      });
+    }
+
+    const previousTeacherId = classData.teacherId;
+    classData.teacherId = teacher._id;
+    await classData.save();
+
+    // Keep both teachers' class lists in sync
+    await User.findByIdAndUpdate(previousTeacherId, {
+      $pull: { 'teacherInfo.classIds': classData._id }
+    });
+    await User.findByIdAndUpdate(teacher._id, {
+      $addToSet: { 'teacherInfo.classIds': classData._id }
+    });
+
+    await classData.populate('teacherId', 'name email');
+
+    res.json({
+      message: 'Class ownership reassigned successfully',
+      class: classData
+    });
+  } catch (error) {
+    console.error('Admin reassign class error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get system-wide counts (school-wide for school admins)
+const getSystemStats = async (req, res) => {
+  try {
+    const scope = schoolScope(req.user);
+    const userIds = await User.distinct('_id', scope);
+    const now = new Date();
+
+    const [
+      usersByRole,
+      inactiveUsers,
+      lockedUsers,
+      classCount,
+      assignmentCount,
+      mediaCount,
+      practiceCount,
+      activeSessions
+    ] = await Promise.all([
+      User.aggregate([
+        { $match: scope },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ]),
+      User.countDocuments({ ...scope, isActive: false }),
+      User.countDocuments({ ...scope, 'loginSecurity.lockUntil': { $gt: now } }),
+      Class.countDocuments(scope),
+      Assignment.countDocuments(scope),
+      Media.countDocuments(scope),
+      Practice.countDocuments(scope),
+      Session.countDocuments({ userId: { $in: userIds }, revokedAt: null, expiresAt: { $gt: now } })
+    ]);
+
+    const users = usersByRole.reduce((counts, group) => {
+      counts[group._id] = group.count;
+      counts.total += group.count;
+      return counts;
+    }, { total: 0 });
+
+    res.json({
+      stats: {
+        users,
+        inactiveUsers,
+        lockedUsers,
+        classes: classCount,
+        assignments: assignmentCount,
+        media: mediaCount,
+        practiceSessions: practiceCount,
+        activeSessions
+      }
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  deactivateUser,
+  reactivateUser,
+  resetUserPassword,
+  reassignClassOwner,
+  getSystemStats
+};
@@ -1,7 +1,162 @@
+const path = require('path');
 const Assignment = require('../models/Assignment');
 const Class = require('../models/Class');
 const User = require('../models/User');
+const Rubric = require('../models/Rubric');
+const Media = require('../models/Media');
+const QuestionBankItem = require('../models/QuestionBankItem');
+const AttemptSession = require('../models/AttemptSession');
 const { validationResult } = require('express-validator');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { getFileInfo, deleteFile } = require('../middleware/upload');
+const { autoSubmitSession } = require('../utils/attemptTimer');
+const { analyzeItems } = require('../utils/itemAnalysis');
+const { collectMediaIds } = require('../utils/questionValidation');
+
+// Helper: check the publish schedule is consistent, returns an error message or null
+const checkPublishSchedule = (status, publishAt, closeAt) => {
+  if (status === 'scheduled' && !publishAt) {
+    return 'A publish time is required for scheduled assignments';
+  }
+
+  if (publishAt && closeAt && new Date(closeAt) <= new Date(publishAt)) {
+    return 'Close time must be after the publish time';
+  }
+
+  return null;
+};
+
+// Helper: check every rubric attached to a question belongs to the teacher, returns an error message or null
+const checkQuestionRubrics = async (questions, teacherId) => {
+  const rubricIds = [...new Set((questions || []).filter(q => q.rubricId).map(q => String(q.rubricId)))];
+  if (rubricIds.length === 0) return null;
+
+  const found = await Rubric.countDocuments({ _id: { $in: rubricIds }, teacherId, isActive: true });
+  return found === rubricIds.length ? null : 'Rubric not found';
+};
+
+// Helper: check every media item shown in a question belongs to the teacher, returns an error message or null
+const checkQuestionMedia = async (questions, teacherId) => {
+  const mediaIds = [...new Set((questions || []).flatMap(collectMediaIds))];
+  if (mediaIds.length === 0) return null;
+
+  const found = await Media.countDocuments({ _id: { $in: mediaIds }, uploadedBy: teacherId });
+  return found === mediaIds.length ? null : 'Media not found';
+};
+
+// Helper: copy the teacher's bank questions picked by ID and by random draw.
+// Returns { questions, items } or { error }
+const resolveBankQuestions = async (teacherId, bankQuestionIds = [], bankDraw) => {
+  const uniqueIds = [...new Set(bankQuestionIds.map(String))];
+  const picked = await QuestionBankItem.find({ _id: { $in: uniqueIds }, teacherId, isActive: true });
+  if (picked.length !== uniqueIds.length) {
+    return { error: 'Question not found in your bank' };
+  }
+
+  // Keep the order the teacher listed them in
+  const items = uniqueIds.map(id => picked.find(item => item._id.toString() === id));
+
+  if (bankDraw) {
+    const drawn = await QuestionBankItem.drawRandom(teacherId, { ...bankDraw, excludeIds: uniqueIds });
+    if (drawn.length < bankDraw.count) {
+      return { error: `Only ${drawn.length} matching questions in your bank` };
+    }
+    items.push(...drawn);
+  }
+
+  return {
+    items,
+    questions: items.map(item => item.toAssignmentQuestion())
+  };
+};
+
+// Helper: check targeted students and groups belong to the class, returns an error message or null
+const checkAssignedTo = (assignedTo, classData) => {
+  if (!assignedTo) return null;
+
+  const { studentIds = [], groupIds = [] } = assignedTo;
+  if (!studentIds.every(studentId => classData.students.some(id => id.equals(studentId)))) {
+    return 'Assigned students must be enrolled in the class';
+  }
+
+  if (!groupIds.every(groupId => classData.groups.id(groupId))) {
+    return 'Group not found in this class';
+  }
+
+  return null;
+};
+
+// Helper: describe a started attempt and its draft for the student
+const formatAttemptSession = (session) => ({
+  attemptNumber: session.attemptNumber,
+  startedAt: session.startedAt,
+  expiresAt: session.expiresAt,
+  secondsRemaining: session.getSecondsRemaining(),
+  answers: session.answers,
+  version: session.version,
+  savedAt: session.savedAt,
+  serverTime: new Date()
+});
+
+// Helper: close a timed attempt whose time ran out and tell the student what happened to their answers
+const rejectExpiredAttempt = async (res, session, assignment) => {
+  const closed = await autoSubmitSession(session, assignment);
+  return res.status(400).json({
+    message: closed && closed.closedReason === 'no_attempts_left'
+      ? 'Time limit exceeded. You have no attempts left, so your saved answers were kept but not submitted.'
+      : 'Time limit exceeded. Your saved answers were submitted.'
+  });
+};
+
+// Helper: open the session for a student's next attempt, with the clock running
+// on timed assignments (never past the submission deadline or the close time).
+// Returns the session another tab opened if it got there first
+const createAttemptSession = async (assignment, studentId) => {
+  const startedAt = new Date();
+  const { timeLimitMinutes } = assignment.getEffectiveSettings(studentId);
+  let expiresAt;
+  if (timeLimitMinutes) {
+    expiresAt = new Date(startedAt.getTime() + timeLimitMinutes * 60 * 1000);
+    [assignment.getSubmissionDeadline(studentId), assignment.getCloseAt(studentId)].forEach(limit => {
+      if (limit && limit < expiresAt) expiresAt = limit;
+    });
+  }
+
+  try {
+    return await AttemptSession.create({
+      assignmentId: assignment._id,
+      studentId,
+      attemptNumber: assignment.getAttempts(assignment.getSubmission(studentId)).length + 1,
+      startedAt,
+      expiresAt
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const session = await AttemptSession.findOpen(assignment._id, studentId);
+      if (session) return session;
+    }
+    throw error;
+  }
+};
+
+// Helper: check an answer has been filled in (a draft may list questions not answered yet)
+const hasAnswer = (answer) => {
+  if (answer === undefined || answer === null) return false;
+  if (typeof answer === 'string') return answer.trim().length > 0;
+  if (Array.isArray(answer)) return answer.length > 0;
+  if (typeof answer === 'object') return Object.keys(answer).length > 0;
+  return true;
+};
+
+// Helper: the draft's answers, replaced by any answers sent with the submission
+const mergeDraftAnswers = (draftAnswers, answers) => {
+  const merged = new Map(draftAnswers.map(answer => [
+    answer.questionId.toString(),
+    { questionId: answer.questionId, answer: answer.answer, timeSpent: answer.timeSpent }
+  ]));
+  answers.forEach(answer => merged.set(String(answer.questionId), answer));
+  return [...merged.values()];
+};
 
 // Create assignment (teacher only)
 const createAssignment = async (req, res) => {
@@ -22,10 +177,31 @@ const createAssignment = async (req, res) => {
       dueDate, 
       classId,
       allowLateSubmission,
-      latePenalty 
+      latePenalty,
+      latePenaltyMode,
+      lateCutoffDays,
+      answerKeyRelease,
+      publishAt,
+      closeAt,
+      maxAttempts,
+      scoringPolicy,
+      timeLimitMinutes,
+      randomizeQuestions,
+      randomizeOptions,
+      assignedTo,
+      bankQuestionIds,
+      bankDraw
     } = req.body;
     
     const createdBy = req.user._id;
+    const status = req.body.status || (publishAt ? 'scheduled' : 'draft');
+
+    const scheduleError = checkPublishSchedule(status, publishAt, closeAt);
+    if (scheduleError) {
+      return res.status(400).json({
+        message: scheduleError
+      });
+    }
 
     // Verify class exists and user is teacher
     const classData = await Class.findById(classId);
@@ -41,15 +217,46 @@ const createAssignment = async (req, res) => {
       });
     }
 
+    const assignedToError = checkAssignedTo(assignedTo, classData);
+    if (assignedToError) {
+      return res.status(400).json({
+        message: assignedToError
+      });
+    }
+
+    // Questions written here come first, then bank questions by ID, then drawn ones
+    const bank = await resolveBankQuestions(createdBy, bankQuestionIds, bankDraw);
+    if (bank.error) {
+      return res.status(400).json({
+        message: bank.error
+      });
+    }
+
+    const allQuestions = [...(questions || []), ...bank.questions];
+
     // Validate questions
-    if (!questions || questions.length === 0) {
+    if (allQuestions.length === 0) {
       return res.status(400).json({
         message: 'At least one question is required'
       });
     }
 
+    const rubricError = await checkQuestionRubrics(questions, createdBy);
+    if (rubricError) {
+      return res.status(400).json({
+        message: rubricError
+      });
+    }
+
+    const mediaError = await checkQuestionMedia(questions, createdBy);
+    if (mediaError) {
+      return res.status(400).json({
+        message: mediaError
+      });
+    }
+
     // Process questions with order
-    const processedQuestions = questions.map((q, index) => ({
+    const processedQuestions = allQuestions.map((q, index) => ({
       ...q,
       order: index + 1,
       points: q.points || 1
@@ -63,13 +270,33 @@ const createAssignment = async (req, res) => {
       questions: processedQuestions,
       dueDate,
       classId,
+      schoolId: classData.schoolId,
       createdBy,
       allowLateSubmission: allowLateSubmission || false,
-      latePenalty: latePenalty || 0
+      latePenalty: latePenalty || 0,
+      latePenaltyMode,
+      lateCutoffDays,
+      answerKeyRelease,
+      status,
+      publishAt: status === 'published' && !publishAt ? new Date() : publishAt,
+      closeAt,
+      maxAttempts,
+      scoringPolicy,
+      timeLimitMinutes,
+      randomizeQuestions,
+      randomizeOptions,
+      assignedTo: assignedTo || undefined
     });
 
     await assignment.save();
 
+    if (bank.items.length > 0) {
+      await QuestionBankItem.updateMany(
+        { _id: { $in: bank.items.map(item => item._id) } },
+        { $inc: { usageCount: 1 } }
+      );
+    }
+
     // Add assignment to class
     await Class.findByIdAndUpdate(classId, {
       $addToSet: { assignments: assignment._id }
@@ -118,6 +345,12 @@ const getClassAssignments = async (req, res) => {
 
     // Build query
     const query = { classId, isActive: true };
+
+    // Students never see drafts, assignments scheduled for later, or work set to other students
+    if (!isTeacher) {
+      Object.assign(query, Assignment.visibleToStudentsQuery());
+      query.$and = [Assignment.assignedToStudentQuery(userId, classData.getStudentGroupIds(userId))];
+    }
     
     // Add status filter for students
     if (req.user.role === 'student' && status) {
@@ -137,23 +370,13 @@ const getClassAssignments = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit));
 
-    // For students, add submission status
-    if (req.user.role === 'student') {
-      assignments.forEach(assignment => {
-        const submission = assignment.submissions.find(
-          sub => sub.studentId.equals(userId)
-        );
-        assignment.submissionStatus = submission ? 'submitted' : 'pending';
-        if (submission) {
-          assignment.mySubmission = submission;
-        }
-      });
-    }
-
     const total = await Assignment.countDocuments(query);
 
     res.json({
-      assignments,
+      // Students only see their own submission and no answer key until it is released
+      assignments: isTeacher
+        ? assignments
+        : assignments.map(assignment => assignment.toStudentView(userId)),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / limit),
@@ -185,7 +408,7 @@ const getAssignmentById = async (req, res) => {
     }
 
     // Verify access permissions
-    const classData = assignment.classId;
+    const classData = await Class.findById(assignment.classId._id);
     const isTeacher = classData.teacherId.equals(userId);
     const isStudent = req.user.role === 'student' && classData.students.includes(userId);
 
@@ -195,19 +418,14 @@ const getAssignmentById = async (req, res) => {
       });
     }
 
-    // For students, add their submission status
-    if (req.user.role === 'student') {
-      const submission = assignment.submissions.find(
-        sub => sub.studentId.equals(userId)
-      );
-      assignment.submissionStatus = submission ? 'submitted' : 'pending';
-      if (submission) {
-        assignment.mySubmission = submission;
-      }
+    if (!isTeacher && (!assignment.isVisibleToStudents() || !assignment.isAssignedTo(userId, classData))) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
     }
 
     res.json({
-      assignment
+      assignment: isTeacher ? assignment : assignment.toStudentView(userId)
     });
   } catch (error) {
     console.error('Get assignment error:', error);
@@ -241,36 +459,116 @@ const submitAssignment = async (req, res) => {
 
     // Verify student has access
     const classData = await Class.findById(assignment.classId);
-    if (!classData.students.includes(studentId)) {
+    if (!classData.students.includes(studentId) || !assignment.isAssignedTo(studentId, classData)) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
-    // Check if due date has passed
+    // Check the assignment is open for submissions (an extension can keep it open past closeAt)
+    const status = assignment.getEffectiveStatus(new Date(), studentId);
+    if (status === 'draft' || status === 'scheduled') {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    if (status === 'closed') {
+      return res.status(400).json({
+        message: 'Assignment is closed for submissions'
+      });
+    }
+
     const now = new Date();
-    if (now > assignment.dueDate && !assignment.allowLateSubmission) {
+    const session = await AttemptSession.findOpen(assignment._id, studentId);
+
+    // Timed assignments are submitted from a started attempt, within its time plus the grace period
+    if (assignment.getEffectiveSettings(studentId).timeLimitMinutes && !session) {
+      return res.status(400).json({
+        message: 'Start the attempt before submitting a timed assignment'
+      });
+    }
+
+    if (session && !session.isWithinTimeLimit(now)) {
+      return await rejectExpiredAttempt(res, session, assignment);
+    }
+
+    // Check if the deadline (due date, or late cutoff when late work is allowed) has passed.
+    // A timed attempt started before the deadline ends with it, give or take the grace period
+    const deadline = assignment.getSubmissionDeadline(studentId);
+    const inTimedWindow = Boolean(session && session.expiresAt);
+    if (deadline && now > deadline && !inTimedWindow) {
       return res.status(400).json({
-        message: 'Assignment submission deadline has passed'
+        message: assignment.allowLateSubmission
+          ? 'The late submission cutoff has passed'
+          : 'Assignment submission deadline has passed'
       });
     }
 
+    // The saved draft is promoted; answers sent now replace its answers to the same questions
+    const finalAnswers = mergeDraftAnswers(session ? session.answers : [], answers || []);
+
     // Validate answers
-    if (!answers || answers.length === 0) {
+    if (finalAnswers.length === 0) {
       return res.status(400).json({
         message: 'At least one answer is required'
       });
     }
 
-    // Submit assignment
-    await assignment.submitAssignment(studentId, answers);
+    // Sign video answers must point at a video this student uploaded for that question
+    const missingVideo = finalAnswers.some(answer => {
+      const question = assignment.questions.id(answer.questionId);
+      return question && question.questionType === 'sign_video' &&
+        !assignment.getResponseVideo(studentId, question._id, answer.answer);
+    });
+    if (missingVideo) {
+      return res.status(400).json({
+        message: 'Upload your sign video for each sign video question before submitting'
+      });
+    }
+
+    // Check the student has attempts left
+    if (assignment.getRemainingAttempts(studentId) === 0) {
+      return res.status(400).json({
+        message: 'You have used all of your attempts for this assignment',
+        maxAttempts: assignment.getEffectiveSettings(studentId).maxAttempts
+      });
+    }
+
+    // Close the started attempt; a second tab or the timer may have got there first
+    if (session) {
+      const claimed = await AttemptSession.claim(session._id, 'submitted', now);
+      if (!claimed) {
+        return res.status(409).json({
+          message: 'This attempt has already been submitted'
+        });
+      }
+    }
+
+    // Submit assignment; if it cannot be saved, reopen the attempt so nothing is lost
+    try {
+      await assignment.submitAssignment(studentId, finalAnswers, {
+        submittedAt: now,
+        startedAt: session ? session.startedAt : undefined
+      });
+    } catch (submitError) {
+      if (session) await AttemptSession.release(session._id);
+
+      // Another submission saved the assignment at the same moment
+      if (submitError.name === 'VersionError') {
+        return res.status(409).json({
+          message: 'Your answers were not submitted yet. Please submit again.'
+        });
+      }
+      throw submitError;
+    }
 
     await assignment.populate('createdBy', 'name email');
     await assignment.populate('classId', 'name subject');
 
     res.json({
       message: 'Assignment submitted successfully',
-      assignment
+      assignment: assignment.toStudentView(studentId)
     });
   } catch (error) {
     console.error('Submit assignment error:', error);
@@ -292,7 +590,7 @@ const gradeAssignment = async (req, res) => {
     }
 
     const { assignmentId, studentId } = req.params;
-    const { score, feedback } = req.body;
+    const { score, feedback, attemptNumber } = req.body;
     const gradedBy = req.user._id;
 
     const assignment = await Assignment.findById(assignmentId);
@@ -310,8 +608,27 @@ const gradeAssignment = async (req, res) => {
       });
     }
 
+    const previousSubmission = assignment.submissions.find(
+      sub => sub.studentId.toString() === studentId.toString()
+    );
+    const gradeFields = ['score', 'percentage', 'feedback', 'gradedAt', 'gradedBy'];
+    const before = snapshot(previousSubmission, gradeFields);
+
     // Grade assignment
-    await assignment.gradeAssignment(studentId, score, feedback, gradedBy);
+    await assignment.gradeAssignment(studentId, score, feedback, gradedBy, attemptNumber);
+
+    const gradedSubmission = assignment.submissions.find(
+      sub => sub.studentId.toString() === studentId.toString()
+    );
+
+    await recordAudit(req, {
+      action: 'assignment_grade',
+      targetType: 'Assignment',
+      targetId: assignment._id,
+      classId: assignment.classId,
+      before: { studentId, ...before },
+      after: { studentId, ...snapshot(gradedSubmission, gradeFields) }
+    });
 
     await assignment.populate('createdBy', 'name email');
     await assignment.populate('classId', 'name subject');
@@ -327,6 +644,112 @@ const gradeAssignment = async (req, res) => {
         message: 'Student submission not found'
       });
     }
+    if (error.message === 'Attempt not found') {
+      return res.status(404).json({
+        message: 'Attempt not found'
+      });
+    }
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Grade one answer by hand, with points or rubric levels (teacher only)
+const gradeAnswer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { assignmentId, studentId, questionId } = req.params;
+    const { points, rubricLevels, feedback, attemptNumber } = req.body;
+    const gradedBy = req.user._id;
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    // Verify teacher access
+    const classData = await Class.findById(assignment.classId);
+    if (!classData.teacherId.equals(gradedBy)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const question = assignment.questions.id(questionId);
+    if (!question) {
+      return res.status(404).json({
+        message: 'Question not found'
+      });
+    }
+
+    // Rubric levels only make sense for a question graded with a rubric
+    let rubric;
+    if (rubricLevels) {
+      if (!question.rubricId) {
+        return res.status(400).json({
+          message: 'This question has no rubric'
+        });
+      }
+
+      rubric = await Rubric.findById(question.rubricId);
+      if (!rubric) {
+        return res.status(404).json({
+          message: 'Rubric not found'
+        });
+      }
+    }
+
+    const previousSubmission = assignment.getSubmission(studentId);
+    const gradeFields = ['score', 'percentage', 'gradedAt', 'gradedBy'];
+    const before = snapshot(previousSubmission, gradeFields);
+
+    await assignment.gradeAnswer(studentId, questionId, {
+      points,
+      rubric,
+      rubricLevels,
+      feedback,
+      gradedBy,
+      attemptNumber
+    });
+
+    const gradedSubmission = assignment.getSubmission(studentId);
+
+    await recordAudit(req, {
+      action: 'assignment_grade',
+      targetType: 'Assignment',
+      targetId: assignment._id,
+      classId: assignment.classId,
+      before: { studentId, questionId, ...before },
+      after: { studentId, questionId, ...snapshot(gradedSubmission, gradeFields) }
+    });
+
+    res.json({
+      message: 'Answer graded successfully',
+      status: assignment.getSubmissionStatus(gradedSubmission),
+      submission: gradedSubmission
+    });
+  } catch (error) {
+    console.error('Grade answer error:', error);
+    if (['Submission not found', 'Attempt not found', 'Answer not found'].includes(error.message)) {
+      return res.status(404).json({
+        message: error.message
+      });
+    }
+    if (['Points must be between 0 and the question points', 'Choose a level for every rubric criterion', 'Invalid rubric level'].includes(error.message)) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
     res.status(500).json({
       message: 'Internal server error'
     });
@@ -353,6 +776,18 @@ const updateAssignment = async (req, res) => {
       dueDate,
       allowLateSubmission,
       latePenalty,
+      latePenaltyMode,
+      lateCutoffDays,
+      answerKeyRelease,
+      status,
+      publishAt,
+      closeAt,
+      maxAttempts,
+      scoringPolicy,
+      timeLimitMinutes,
+      randomizeQuestions,
+      randomizeOptions,
+      assignedTo,
       isPublished 
     } = req.body;
     const userId = req.user._id;
@@ -380,7 +815,71 @@ const updateAssignment = async (req, res) => {
     if (dueDate) updateData.dueDate = dueDate;
     if (allowLateSubmission !== undefined) updateData.allowLateSubmission = allowLateSubmission;
     if (latePenalty !== undefined) updateData.latePenalty = latePenalty;
-    if (isPublished !== undefined) updateData.isPublished = isPublished;
+    if (latePenaltyMode) updateData.latePenaltyMode = latePenaltyMode;
+    if (lateCutoffDays !== undefined) updateData.lateCutoffDays = lateCutoffDays;
+    if (answerKeyRelease) updateData.answerKeyRelease = answerKeyRelease;
+    if (publishAt !== undefined) updateData.publishAt = publishAt;
+    if (closeAt !== undefined) updateData.closeAt = closeAt;
+    if (maxAttempts !== undefined) updateData.maxAttempts = maxAttempts;
+    if (timeLimitMinutes !== undefined) updateData.timeLimitMinutes = timeLimitMinutes;
+    if (randomizeQuestions !== undefined) updateData.randomizeQuestions = randomizeQuestions;
+    if (randomizeOptions !== undefined) updateData.randomizeOptions = randomizeOptions;
+
+    const assignedToError = checkAssignedTo(assignedTo, classData);
+    if (assignedToError) {
+      return res.status(400).json({
+        message: assignedToError
+      });
+    }
+    // null (or empty lists) sets the assignment back to the whole class
+    if (assignedTo !== undefined) {
+      updateData.assignedTo = {
+        studentIds: (assignedTo && assignedTo.studentIds) || [],
+        groupIds: (assignedTo && assignedTo.groupIds) || []
+      };
+    }
+    if (scoringPolicy) updateData.scoringPolicy = scoringPolicy;
+
+    // isPublished is still accepted from older clients as a publish/unpublish toggle
+    let nextStatus = status;
+    if (!nextStatus && isPublished !== undefined) {
+      nextStatus = isPublished ? 'published' : 'draft';
+    }
+
+    if (nextStatus) {
+      updateData.status = nextStatus;
+      updateData.isPublished = nextStatus !== 'draft';
+
+      // Remember when it actually went out
+      if (nextStatus === 'published' && publishAt === undefined && assignment.status !== 'published') {
+        updateData.publishAt = new Date();
+      }
+    }
+
+    const scheduleError = checkPublishSchedule(
+      nextStatus || assignment.status,
+      updateData.publishAt !== undefined ? updateData.publishAt : assignment.publishAt,
+      updateData.closeAt !== undefined ? updateData.closeAt : assignment.closeAt
+    );
+    if (scheduleError) {
+      return res.status(400).json({
+        message: scheduleError
+      });
+    }
+
+    const rubricError = await checkQuestionRubrics(questions, userId);
+    if (rubricError) {
+      return res.status(400).json({
+        message: rubricError
+      });
+    }
+
+    const mediaError = await checkQuestionMedia(questions, userId);
+    if (mediaError) {
+      return res.status(400).json({
+        message: mediaError
+      });
+    }
 
     // Update questions if provided
     if (questions && questions.length > 0) {
@@ -392,16 +891,23 @@ const updateAssignment = async (req, res) => {
       updateData.questions = processedQuestions;
     }
 
-    const updatedAssignment = await Assignment.findByIdAndUpdate(
-      assignmentId,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name email')
-     .populate('classId', 'name subject');
+    // Saving the document keeps totals and derived fields in step with the questions
+    const previousScoringPolicy = assignment.scoringPolicy;
+    assignment.set(updateData);
+
+    // A new scoring policy changes every student's gradebook score
+    if (assignment.scoringPolicy !== previousScoringPolicy) {
+      assignment.submissions.forEach(submission => assignment.applyScoringPolicy(submission));
+    }
+
+    await assignment.save();
+
+    await assignment.populate('createdBy', 'name email');
+    await assignment.populate('classId', 'name subject');
 
     res.json({
       message: 'Assignment updated successfully',
-      assignment: updatedAssignment
+      assignment
     });
   } catch (error) {
     console.error('Update assignment error:', error);
@@ -432,11 +938,16 @@ const deleteAssignment = async (req, res) => {
       });
     }
 
+    await AttemptSession.deleteMany({ assignmentId });
+
     // Remove assignment from class
     await Class.findByIdAndUpdate(assignment.classId, {
       $pull: { assignments: assignmentId }
     });
 
+    // Delete students' sign video answers
+    await Promise.all(assignment.responseVideos.map(video => deleteFile(video.filePath)));
+
     // Delete assignment
     await Assignment.findByIdAndDelete(assignmentId);
 
@@ -475,9 +986,39 @@ const getAssignmentSubmissions = async (req, res) => {
       });
     }
 
+    // Show how lateness changed each score, and link sign video answers for playback
+    const submissions = assignment.submissions.map(submission => {
+      const rawScore = submission.rawScore !== undefined ? submission.rawScore : submission.score;
+      const studentId = submission.studentId._id || submission.studentId;
+
+      return {
+        ...submission.toObject(),
+        status: assignment.getSubmissionStatus(submission),
+        videoResponses: assignment.responseVideos
+          .filter(video => video.studentId.equals(studentId))
+          .map(video => ({
+            _id: video._id,
+            questionId: video.questionId,
+            url: `/api/assignments/${assignment._id}/videos/${video._id}`,
+            originalName: video.originalName,
+            mimeType: video.mimeType,
+            uploadedAt: video.uploadedAt
+          })),
+        lateAdjustment: {
+          isLate: submission.isLate,
+          minutesLate: submission.minutesLate,
+          rawScore,
+          penaltyPoints: Math.round((rawScore - submission.score) * 100) / 100,
+          score: submission.score
+        }
+      };
+    });
+
     res.json({
       assignment,
-      submissions: assignment.submissions
+      submissions,
+      // Counts only the students the assignment is set to
+      completion: assignment.getCompletion(classData)
     });
   } catch (error) {
     console.error('Get assignment submissions error:', error);
@@ -487,13 +1028,569 @@ const getAssignmentSubmissions = async (req, res) => {
   }
 };
 
+// Get per-question item analysis from the students' latest attempts (teacher only)
+const getItemAnalysis = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const userId = req.user._id;
+
+    const assignment = await Assignment.findById(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    // Verify teacher access
+    const classData = await Class.findById(assignment.classId);
+    if (!classData.teacherId.equals(userId)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      assignmentId: assignment._id,
+      title: assignment.title,
+      ...analyzeItems(assignment)
+    });
+  } catch (error) {
+    console.error('Get item analysis error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get every attempt a student made (teacher only)
+const getStudentAttempts = async (req, res) => {
+  try {
+    const { assignmentId, studentId } = req.params;
+    const userId = req.user._id;
+
+    const assignment = await Assignment.findById(assignmentId)
+      .populate('submissions.attempts.gradedBy', 'name email');
+
+    if (!assignment) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    // Verify teacher access
+    const classData = await Class.findById(assignment.classId);
+    if (!classData.teacherId.equals(userId)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const submission = assignment.getSubmission(studentId);
+    if (!submission) {
+      return res.status(404).json({
+        message: 'Student submission not found'
+      });
+    }
+
+    const student = await User.findById(studentId).select('name email');
+
+    res.json({
+      student,
+      maxAttempts: assignment.getEffectiveSettings(studentId).maxAttempts,
+      scoringPolicy: assignment.scoringPolicy,
+      gradebookScore: submission.score,
+      gradebookPercentage: submission.percentage,
+      attemptsRemaining: assignment.getRemainingAttempts(studentId),
+      attempts: assignment.getAttempts(submission)
+    });
+  } catch (error) {
+    console.error('Get student attempts error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Start an attempt, opening the clock on timed assignments (student only).
+// Calling it again resumes the attempt already in progress
+const startAttempt = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const studentId = req.user._id;
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    // Verify student has access
+    const classData = await Class.findById(assignment.classId);
+    if (!classData.students.includes(studentId) || !assignment.isVisibleToStudents() ||
+      !assignment.isAssignedTo(studentId, classData)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    let session = await AttemptSession.findOpen(assignment._id, studentId);
+
+    // An attempt whose time ran out is submitted before anything else
+    if (session && !session.isWithinTimeLimit()) {
+      await autoSubmitSession(session, assignment);
+      session = null;
+    }
+
+    if (session) {
+      return res.json({
+        message: 'Attempt resumed',
+        attempt: formatAttemptSession(session)
+      });
+    }
+
+    if (!assignment.canStudentSubmit(studentId)) {
+      return res.status(400).json({
+        message: assignment.getRemainingAttempts(studentId) === 0
+          ? 'You have used all of your attempts for this assignment'
+          : 'Assignment is not open for submissions'
+      });
+    }
+
+    session = await createAttemptSession(assignment, studentId);
+
+    res.status(201).json({
+      message: 'Attempt started',
+      attempt: formatAttemptSession(session)
+    });
+  } catch (error) {
+    console.error('Start attempt error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get the draft answers of the attempt in progress (student only)
+const getDraft = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const studentId = req.user._id;
+
+    const session = await AttemptSession.findOpen(assignmentId, studentId);
+    if (!session) {
+      return res.status(404).json({
+        message: 'No draft saved'
+      });
+    }
+
+    if (!session.isWithinTimeLimit()) {
+      return await rejectExpiredAttempt(res, session);
+    }
+
+    res.json({
+      draft: formatAttemptSession(session)
+    });
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Autosave draft answers (student only). The client sends the version it last
+// loaded; a save based on an older version is refused with the latest draft
+const saveDraft = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { assignmentId } = req.params;
+    const { answers, version = 0 } = req.body;
+    const studentId = req.user._id;
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    // Verify student has access
+    const classData = await Class.findById(assignment.classId);
+    if (!classData.students.includes(studentId) || !assignment.isVisibleToStudents() ||
+      !assignment.isAssignedTo(studentId, classData)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    let session = await AttemptSession.findOpen(assignment._id, studentId);
+
+    if (session && !session.isWithinTimeLimit()) {
+      return await rejectExpiredAttempt(res, session, assignment);
+    }
+
+    // The first save of an untimed assignment starts the draft; timed ones are started explicitly
+    if (!session) {
+      if (assignment.getEffectiveSettings(studentId).timeLimitMinutes) {
+        return res.status(400).json({
+          message: 'Start the attempt before saving answers to a timed assignment'
+        });
+      }
+
+      if (!assignment.canStudentSubmit(studentId)) {
+        return res.status(400).json({
+          message: 'Assignment is not open for submissions'
+        });
+      }
+
+      session = await createAttemptSession(assignment, studentId);
+    }
+
+    // Drafts keep option text, not positions in the student's shuffled options, and
+    // leave out questions not answered yet so a submission only sees real answers
+    const draftAnswers = assignment.resolveDisplayedAnswers(studentId, answers)
+      .filter(answer => hasAnswer(answer.answer));
+    const saved = await AttemptSession.saveDraft(session._id, version, draftAnswers);
+    if (!saved) {
+      const current = await AttemptSession.findById(session._id);
+      if (current.status !== 'in_progress') {
+        return res.status(409).json({
+          message: 'This attempt has already been submitted'
+        });
+      }
+
+      return res.status(409).json({
+        message: 'Your answers were changed in another tab or device. Load the latest draft and save again.',
+        draft: formatAttemptSession(current)
+      });
+    }
+
+    res.json({
+      message: 'Answers saved',
+      draft: formatAttemptSession(saved)
+    });
+  } catch (error) {
+    console.error('Save draft error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Upload a sign video as the answer to a question (student only)
+const uploadAnswerVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { assignmentId, questionId } = req.params;
+    const studentId = req.user._id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'No video uploaded'
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    // Verify student has access
+    const classData = await Class.findById(assignment.classId);
+    if (!classData.students.includes(studentId) || !assignment.isVisibleToStudents() ||
+      !assignment.isAssignedTo(studentId, classData)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    if (!assignment.canStudentSubmit(studentId)) {
+      return res.status(400).json({
+        message: 'Assignment is not open for submissions'
+      });
+    }
+
+    const question = assignment.questions.id(questionId);
+    if (!question || question.questionType !== 'sign_video') {
+      return res.status(400).json({
+        message: 'This question does not take a sign video answer'
+      });
+    }
+
+    // Replace an earlier recording for this question that was never submitted
+    const unsubmitted = assignment.responseVideos.filter(video =>
+      video.studentId.equals(studentId) &&
+      video.questionId.equals(question._id) &&
+      !assignment.isResponseVideoSubmitted(video)
+    );
+    for (const video of unsubmitted) {
+      await deleteFile(video.filePath);
+      assignment.responseVideos.pull(video._id);
+    }
+
+    const fileInfo = getFileInfo(req.file);
+    assignment.responseVideos.push({
+      studentId,
+      questionId: question._id,
+      filePath: fileInfo.path,
+      originalName: fileInfo.originalName,
+      mimeType: fileInfo.mimetype,
+      fileSize: fileInfo.size
+    });
+    const video = assignment.responseVideos[assignment.responseVideos.length - 1];
+
+    await assignment.save();
+
+    res.status(201).json({
+      message: 'Sign video uploaded. Submit its responseVideoId as your answer to this question.',
+      responseVideoId: video._id,
+      video
+    });
+  } catch (error) {
+    console.error('Upload answer video error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Stream a sign video answer (the class teacher or the student who recorded it)
+const getAnswerVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { assignmentId, responseVideoId } = req.params;
+    const userId = req.user._id;
+
+    const assignment = await Assignment.findById(assignmentId);
+    const video = assignment && assignment.responseVideos.id(responseVideoId);
+    if (!video) {
+      return res.status(404).json({
+        message: 'Video not found'
+      });
+    }
+
+    const classData = await Class.findById(assignment.classId);
+    if (!video.studentId.equals(userId) && !classData.teacherId.equals(userId)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    if (video.mimeType) res.type(video.mimeType);
+    res.sendFile(path.resolve(__dirname, '..', video.filePath), (sendError) => {
+      if (sendError && !res.headersSent) {
+        res.status(404).json({
+          message: 'Video not found'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Get answer video error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get accommodations for an assignment (teacher only)
+const getAccommodations = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const userId = req.user._id;
+
+    const assignment = await Assignment.findById(assignmentId)
+      .populate('accommodations.studentId', 'name email')
+      .populate('accommodations.grantedBy', 'name email');
+
+    if (!assignment) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    // Verify teacher access
+    const classData = await Class.findById(assignment.classId);
+    if (!classData.teacherId.equals(userId)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      accommodations: assignment.accommodations
+    });
+  } catch (error) {
+    console.error('Get accommodations error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Grant or update a student's accommodation (teacher only)
+const grantAccommodation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { assignmentId, studentId } = req.params;
+    const { dueDate, timeLimitMinutes, maxAttempts, reason } = req.body;
+    const userId = req.user._id;
+
+    if (dueDate === undefined && timeLimitMinutes === undefined && maxAttempts === undefined) {
+      return res.status(400).json({
+        message: 'Provide a due date, time limit or attempt count'
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    // Verify teacher access
+    const classData = await Class.findById(assignment.classId);
+    if (!classData.teacherId.equals(userId)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    if (!classData.students.some(id => id.equals(studentId))) {
+      return res.status(400).json({
+        message: 'Student is not enrolled in this class'
+      });
+    }
+
+    let accommodation = assignment.getAccommodation(studentId);
+    if (!accommodation) {
+      assignment.accommodations.push({ studentId });
+      accommodation = assignment.accommodations[assignment.accommodations.length - 1];
+    }
+
+    // null clears a single override and the student goes back to the assignment's value
+    if (dueDate !== undefined) accommodation.dueDate = dueDate || undefined;
+    if (timeLimitMinutes !== undefined) accommodation.timeLimitMinutes = timeLimitMinutes || undefined;
+    if (maxAttempts !== undefined) accommodation.maxAttempts = maxAttempts || undefined;
+    if (reason !== undefined) accommodation.reason = reason;
+    accommodation.grantedBy = userId;
+    accommodation.grantedAt = new Date();
+
+    // Nothing left to override: drop the accommodation
+    const hasOverrides = accommodation.dueDate || accommodation.timeLimitMinutes || accommodation.maxAttempts;
+    if (!hasOverrides) {
+      assignment.accommodations.pull(accommodation._id);
+    }
+
+    await assignment.save();
+
+    res.json({
+      message: 'Accommodation saved successfully',
+      accommodation: hasOverrides ? accommodation : null,
+      effectiveSettings: assignment.getEffectiveSettings(studentId)
+    });
+  } catch (error) {
+    console.error('Grant accommodation error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Revoke a student's accommodation (teacher only)
+const revokeAccommodation = async (req, res) => {
+  try {
+    const { assignmentId, studentId } = req.params;
+    const userId = req.user._id;
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        message: 'Assignment not found'
+      });
+    }
+
+    // Verify teacher access
+    const classData = await Class.findById(assignment.classId);
+    if (!classData.teacherId.equals(userId)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const accommodation = assignment.getAccommodation(studentId);
+    if (!accommodation) {
+      return res.status(404).json({
+        message: 'Accommodation not found'
+      });
+    }
+
+    assignment.accommodations.pull(accommodation._id);
+    await assignment.save();
+
+    res.json({
+      message: 'Accommodation revoked successfully',
+      effectiveSettings: assignment.getEffectiveSettings(studentId)
+    });
+  } catch (error) {
+    console.error('Revoke accommodation error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   createAssignment,
   getClassAssignments,
   getAssignmentById,
   submitAssignment,
   gradeAssignment,
+  gradeAnswer,
   updateAssignment,
   deleteAssignment,
-  getAssignmentSubmissions
+  getAssignmentSubmissions,
+  getItemAnalysis,
+  getStudentAttempts,
+  startAttempt,
+  getDraft,
+  saveDraft,
+  uploadAnswerVideo,
+  getAnswerVideo,
+  getAccommodations,
+  grantAccommodation,
+  revokeAccommodation
 };
@@ -0,0 +1,75 @@
+const AuditLog = require('../models/AuditLog');
+const Class = require('../models/Class');
+const { validationResult } = require('express-validator');
+const { schoolScope } = require('../middleware/auth');
+
+// Get audit log entries (admins for their school, teachers for their own classes)
+const getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, actorId, targetId, classId, from, to, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (req.user.role === 'teacher') {
+      const ownedClasses = await Class.find({ teacherId: req.user._id }).select('_id');
+      const ownedClassIds = ownedClasses.map(ownedClass => ownedClass._id);
+
+      if (classId && !ownedClassIds.some(id => id.equals(classId))) {
+        return res.status(403).json({
+          message: 'Access denied. You are not the teacher of this class.'
+        });
+      }
+
+      query.classId = classId || { $in: ownedClassIds };
+    } else {
+      Object.assign(query, schoolScope(req.user));
+      if (classId) query.classId = classId;
+    }
+
+    if (action) query.action = action;
+    if (actorId) query.actorId = actorId;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    // Get paginated results
+    const skip = (page - 1) * limit;
+    const logs = await AuditLog.find(query)
+      .populate('actorId', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      logs,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
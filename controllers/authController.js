@@ -1,7 +1,107 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const School = require('../models/School');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+const {
+  generateToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  issueAuthTokens
+} = require('../middleware/auth');
+const { hashToken } = require('../utils/tokens');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/emails');
 const { validationResult } = require('express-validator');
 
+// Helper: how long email verification links stay valid
+const getVerificationExpiryHours = () => parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 48;
+
+// Helper: hold back a response (failed logins from a busy IP are slowed down)
+const wait = (seconds) => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+// Helper: tell the client how long a locked or throttled account must wait
+const sendLoginRetryAfter = (res, user, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(user.isLocked ? 423 : 429).json({
+    message: user.isLocked
+      ? 'Account is temporarily locked after too many failed login attempts. Ask your teacher to unlock it or try again later.'
+      : 'Please wait before trying to log in again.',
+    locked: user.isLocked,
+    lockUntil: user.isLocked ? user.loginSecurity.lockUntil : undefined,
+    retryAfter
+  });
+};
+
+// Helper: count a failed password or two-factor attempt and lock the account when needed
+const rejectFailedLogin = async (req, res, account, message) => {
+  const { user, locked: lockedNow } = await User.registerFailedLogin(account._id);
+  const ipDelay = await LoginThrottle.recordFailure(req.ip);
+
+  // Whoever failed to log in is not known to be the account owner
+  await recordAudit(req, {
+    action: 'login_failed',
+    actor: null,
+    schoolId: user.schoolId,
+    targetType: 'User',
+    targetId: user._id,
+    after: { failedAttempts: user.loginSecurity.failedAttempts, locked: lockedNow }
+  });
+
+  if (lockedNow) {
+    await LockoutEvent.create({
+      userId: user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      lockedUntil: user.loginSecurity.lockUntil
+    });
+
+    return res.status(423).json({
+      message: 'Account is temporarily locked after too many failed login attempts. Ask your teacher to unlock it or try again later.',
+      locked: true,
+      lockUntil: user.loginSecurity.lockUntil,
+      retryAfter: user.getLoginRetryAfter()
+    });
+  }
+
+  // Same body as for an unknown email, so it does not show which accounts exist
+  await wait(ipDelay);
+  return res.status(401).json({
+    message
+  });
+};
+
+// Helper: finish a login once every required factor has been checked
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Update last login and clear failed attempts
+  user.lastLogin = new Date();
+  user.resetLoginFailures();
+  await user.save();
+
+  // Generate tokens
+  const { token, refreshToken, session, twoFactorSetupRequired } = await issueAuthTokens(user, req);
+
+  await recordAudit(req, {
+    action: 'login',
+    actor: user,
+    targetType: 'User',
+    targetId: user._id,
+    after: { sessionId: session._id, twoFactor: user.twoFactor.enabled }
+  });
+
+  // Return user data without password
+  const userResponse = user.toJSON();
+
+  return res.json({
+    message: 'Login successful',
+    user: userResponse,
+    token,
+    refreshToken,
+    twoFactorSetupRequired,
+    ...extra
+  });
+};
+
 // Register new user
 const register = async (req, res) => {
   try {
@@ -14,7 +114,7 @@ const register = async (req, res) => {
       });
     }
 
-    const { name, email, password, role, studentInfo, parentInfo, teacherInfo } = req.body;
+    const { name, email, password, role, schoolCode, studentInfo, parentInfo, teacherInfo } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -24,37 +124,58 @@ const register = async (req, res) => {
       });
     }
 
+    // Find the school the user is joining
+    const school = await School.findOne({ code: schoolCode.toUpperCase(), isActive: true });
+    if (!school) {
+      return res.status(400).json({
+        message: 'Invalid school code'
+      });
+    }
+
     // Create user object
     const userData = {
       name,
       email,
       password,
-      role
+      role,
+      schoolId: school._id
     };
 
     // Add role-specific information
     if (role === 'student' && studentInfo) {
       userData.studentInfo = studentInfo;
     } else if (role === 'parent' && parentInfo) {
-      userData.parentInfo = parentInfo;
+      // Children are linked through guardian invites, not at registration
+      const { children, ...otherParentInfo } = parentInfo;
+      userData.parentInfo = otherParentInfo;
     } else if (role === 'teacher' && teacherInfo) {
       userData.teacherInfo = teacherInfo;
     }
 
-    // Create user
+    // Create user with a pending email verification
     const user = new User(userData);
+    const verificationToken = user.createEmailVerificationToken(getVerificationExpiryHours());
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail failure should not fail registration; the user can ask for a new email
+    try {
+      await sendVerificationEmail(user, verificationToken, getVerificationExpiryHours());
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate tokens
+    const { token, refreshToken, twoFactorSetupRequired } = await issueAuthTokens(user, req);
 
     // Return user data without password
     const userResponse = user.toJSON();
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       user: userResponse,
-      token
+      token,
+      refreshToken,
+      twoFactorSetupRequired
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -81,11 +202,18 @@ const login = async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await wait(await LoginThrottle.recordFailure(req.ip));
       return res.status(401).json({
         message: 'Invalid email or password'
       });
     }
 
+    // Check if the account is locked or must wait after recent failures
+    const retryAfter = user.getLoginRetryAfter();
+    if (retryAfter > 0) {
+      return sendLoginRetryAfter(res, user, retryAfter);
+    }
+
     // Check if user is active
     if (!user.isActive) {
       return res.status(401).json({
@@ -93,33 +221,151 @@ const login = async (req, res) => {
       });
     }
 
+    // Check if the user's school is still active
+    if (user.schoolId) {
+      const school = await School.findById(user.schoolId);
+      if (!school || !school.isActive) {
+        return res.status(401).json({
+          message: 'Your school\'s account is inactive. Please contact administrator.'
+        });
+      }
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      return rejectFailedLogin(req, res, user, 'Invalid email or password');
+    }
+
+    // Failed attempts are only cleared once the second factor is also correct
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app to finish logging in',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      message: 'Internal server error during login'
+    });
+  }
+};
+
+// Finish a login with an authenticator code or a recovery code
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallenge(challengeToken);
+    } catch (challengeError) {
       return res.status(401).json({
-        message: 'Invalid email or password'
+        message: 'Login challenge is invalid or has expired. Please log in again.'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep');
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const retryAfter = user.getLoginRetryAfter();
+    if (retryAfter > 0) {
+      return sendLoginRetryAfter(res, user, retryAfter);
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const usedRecoveryCode = !code;
+    const isCodeValid = usedRecoveryCode
+      ? user.useRecoveryCode(recoveryCode)
+      : user.verifyTwoFactorCode(code);
 
-    // Return user data without password
-    const userResponse = user.toJSON();
+    if (!isCodeValid) {
+      return rejectFailedLogin(req, res, user, 'Invalid authentication code');
+    }
+
+    await completeLogin(req, res, user, usedRecoveryCode
+      ? { remainingRecoveryCodes: user.twoFactor.recoveryCodeHashes.length }
+      : {});
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      message: 'Internal server error during login'
+    });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+const refreshAccessToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const parsed = Session.parseRefreshToken(req.body.refreshToken);
+    if (!parsed) {
+      return res.status(401).json({
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        message: 'Session is no longer valid. Please log in again.'
+      });
+    }
+
+    // Rotate the refresh token; an outdated token means it was reused
+    const newRefreshToken = await session.rotateRefreshToken(parsed.secret);
+    if (!newRefreshToken) {
+      await session.revoke('refresh_token_reuse');
+      return res.status(401).json({
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
+
+    // Check if user still exists and is active
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await session.revoke('account_unavailable');
+      return res.status(401).json({
+        message: 'Account is deactivated. Please contact administrator.'
+      });
+    }
+
+    // The school's two-factor policy may have changed since the last token
+    const twoFactorSetupRequired = await user.needsTwoFactorSetup();
 
     res.json({
-      message: 'Login successful',
-      user: userResponse,
-      token
+      message: 'Token refreshed successfully',
+      token: generateToken(user._id, session._id, { twoFactorSetupRequired }),
+      refreshToken: newRefreshToken,
+      twoFactorSetupRequired
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
-      message: 'Internal server error during login'
+      message: 'Internal server error'
     });
   }
 };
@@ -130,7 +376,7 @@ const getProfile = async (req, res) => {
     const user = await User.findById(req.user._id)
       .populate('studentInfo.classIds', 'name subject')
       .populate('teacherInfo.classIds', 'name subject')
-      .populate('parentInfo.children', 'name email');
+      .populate('parentInfo.children.studentId', 'name email');
 
     if (!user) {
       return res.status(404).json({
@@ -171,6 +417,9 @@ const updateProfile = async (req, res) => {
       });
     }
 
+    const profileFields = ['name', 'studentInfo', 'parentInfo', 'teacherInfo'];
+    const before = snapshot(user, profileFields);
+
     // Update basic info
     if (name) user.name = name;
 
@@ -178,13 +427,23 @@ const updateProfile = async (req, res) => {
     if (user.role === 'student' && studentInfo) {
       user.studentInfo = { ...user.studentInfo, ...studentInfo };
     } else if (user.role === 'parent' && parentInfo) {
-      user.parentInfo = { ...user.parentInfo, ...parentInfo };
+      // Children are linked through guardian invites, not profile edits
+      const { children, ...otherParentInfo } = parentInfo;
+      user.parentInfo = { ...user.parentInfo, ...otherParentInfo };
     } else if (user.role === 'teacher' && teacherInfo) {
       user.teacherInfo = { ...user.teacherInfo, ...teacherInfo };
     }
 
     await user.save();
 
+    await recordAudit(req, {
+      action: 'profile_update',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: snapshot(user, profileFields)
+    });
+
     res.json({
       message: 'Profile updated successfully',
       user: user.toJSON()
@@ -231,8 +490,17 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out everywhere except the device that changed the password
+    await Session.revokeAllForUser(user._id, 'password_changed', req.authSession._id);
+
+    await recordAudit(req, {
+      action: 'password_change',
+      targetType: 'User',
+      targetId: user._id
+    });
+
     res.json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. All other sessions have been signed out.'
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -242,11 +510,177 @@ const changePassword = async (req, res) => {
   }
 };
 
-// Logout (client-side token removal)
+// Verify email address using an emailed token
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Resend the verification email to the current user
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        message: 'Email is already verified'
+      });
+    }
+
+    const token = user.createEmailVerificationToken(getVerificationExpiryHours());
+    await user.save();
+
+    await sendVerificationEmail(user, token, getVerificationExpiryHours());
+
+    res.json({
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Request a password reset email
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Always give the same answer so the endpoint cannot be used to find accounts
+    const genericResponse = {
+      message: 'If an account exists for this email, password reset instructions have been sent.'
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+    const token = user.createPasswordResetToken(expiresInMinutes);
+    await user.save();
+
+    // A failed send must not change the response either
+    try {
+      await sendPasswordResetEmail(user, token, expiresInMinutes);
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Reset password using an emailed token
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // Update password, consume the token and lift any lockout
+    user.password = newPassword;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.resetLoginFailures();
+    await user.save();
+
+    // Sign out everywhere, the old password may have been compromised
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    await recordAudit(req, {
+      action: 'password_reset',
+      actor: null,
+      schoolId: user.schoolId,
+      targetType: 'User',
+      targetId: user._id,
+      after: { method: 'email_token' }
+    });
+
+    res.json({
+      message: 'Password has been reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Logout (revokes the current session and its refresh tokens)
 const logout = async (req, res) => {
   try {
-    // In a stateless JWT system, logout is handled client-side
-    // Here we can add any server-side cleanup if needed
+    await req.authSession.revoke('logout');
+
     res.json({
       message: 'Logout successful'
     });
@@ -258,11 +692,77 @@ const logout = async (req, res) => {
   }
 };
 
+// Get active sessions for the current user
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceInfo: session.deviceInfo,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Revoke one of the current user's sessions (remote sign out)
+const revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({ _id: sessionId, userId: req.user._id });
+    if (!session || !session.isActive) {
+      return res.status(404).json({
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_user');
+
+    res.json({
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  refreshAccessToken,
   getProfile,
   updateProfile,
   changePassword,
-  logout
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  logout,
+  getSessions,
+  revokeSession
 };
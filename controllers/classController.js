@@ -2,7 +2,11 @@ const Class = require('../models/Class');
 const User = require('../models/User');
 const Media = require('../models/Media');
 const Assignment = require('../models/Assignment');
+const AttemptSession = require('../models/AttemptSession');
 const { validationResult } = require('express-validator');
+const { schoolScope } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { deleteFile } = require('../middleware/upload');
 
 // Create new class
 const createClass = async (req, res) => {
@@ -24,6 +28,7 @@ const createClass = async (req, res) => {
       subject,
       description,
       teacherId,
+      schoolId: req.user.schoolId,
       maxStudents: maxStudents || 30
     });
 
@@ -89,7 +94,7 @@ const getClassById = async (req, res) => {
   try {
     const { classId } = req.params;
 
-    const classData = await Class.findById(classId)
+    const classData = await Class.findOne({ _id: classId, ...schoolScope(req.user) })
       .populate('teacherId', 'name email')
       .populate('students', 'name email')
       .populate('videos')
@@ -101,6 +106,22 @@ const getClassById = async (req, res) => {
       });
     }
 
+    // Only the class teacher gets full assignments (answer keys, every submission).
+    // Everyone else gets the student view of published work, and students only
+    // the assignments set to them; nobody else sees the class groups
+    if (!classData.teacherId._id.equals(req.user._id)) {
+      const view = classData.toObject();
+      delete view.groups;
+      view.assignments = classData.assignments
+        .filter(assignment => assignment.isVisibleToStudents() &&
+          (req.user.role !== 'student' || assignment.isAssignedTo(req.user._id, classData)))
+        .map(assignment => assignment.toStudentView(req.user._id));
+
+      return res.json({
+        class: view
+      });
+    }
+
     res.json({
       class: classData
     });
@@ -126,8 +147,11 @@ const joinClassByCode = async (req, res) => {
     const { classCode } = req.body;
     const studentId = req.user._id;
 
-    // Find class by code
-    const classData = await Class.findOne({ classCode: classCode.toUpperCase() });
+    // Find class by code (only classes of the student's own school)
+    const classData = await Class.findOne({
+      classCode: classCode.toUpperCase(),
+      ...schoolScope(req.user)
+    });
     if (!classData) {
       return res.status(404).json({
         message: 'Invalid class code'
@@ -192,10 +216,11 @@ const addStudentToClass = async (req, res) => {
     const { studentEmail } = req.body;
     const { classId } = req.params;
 
-    // Find student by email
+    // Find student by email within the class's school
     const student = await User.findOne({ 
       email: studentEmail, 
-      role: 'student' 
+      role: 'student',
+      schoolId: req.classData.schoolId
     });
     
     if (!student) {
@@ -255,6 +280,15 @@ const removeStudentFromClass = async (req, res) => {
     // Remove student from class
     await req.classData.removeStudent(studentId);
 
+    await recordAudit(req, {
+      action: 'class_student_remove',
+      targetType: 'User',
+      targetId: studentId,
+      classId: req.classData._id,
+      before: { enrolled: true },
+      after: { enrolled: false }
+    });
+
     // Remove class from student's class list
     await User.findByIdAndUpdate(studentId, {
       $pull: { 'studentInfo.classIds': req.classData._id }
@@ -274,6 +308,122 @@ const removeStudentFromClass = async (req, res) => {
   }
 };
 
+// Helper: check every student ID is enrolled in the class
+const areClassStudents = (classData, studentIds) => {
+  return studentIds.every(studentId => classData.students.some(id => id.equals(studentId)));
+};
+
+// Create a group of students within the class (teacher only)
+const createGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, studentIds = [] } = req.body;
+
+    if (!areClassStudents(req.classData, studentIds)) {
+      return res.status(400).json({
+        message: 'Group members must be enrolled in the class'
+      });
+    }
+
+    req.classData.groups.push({ name, studentIds: [...new Set(studentIds)] });
+    await req.classData.save();
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group: req.classData.groups[req.classData.groups.length - 1]
+    });
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Rename a group or change its members (teacher only)
+const updateGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = req.classData.groups.id(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({
+        message: 'Group not found'
+      });
+    }
+
+    const { name, studentIds } = req.body;
+
+    if (studentIds && !areClassStudents(req.classData, studentIds)) {
+      return res.status(400).json({
+        message: 'Group members must be enrolled in the class'
+      });
+    }
+
+    if (name) group.name = name;
+    if (studentIds) group.studentIds = [...new Set(studentIds)];
+    await req.classData.save();
+
+    res.json({
+      message: 'Group updated successfully',
+      group
+    });
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a group (teacher only; not while assignments are set to it)
+const deleteGroup = async (req, res) => {
+  try {
+    const group = req.classData.groups.id(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({
+        message: 'Group not found'
+      });
+    }
+
+    // Dropping the group from an assignment could hand it to the whole class
+    const assignmentCount = await Assignment.countDocuments({
+      classId: req.classData._id,
+      'assignedTo.groupIds': group._id
+    });
+    if (assignmentCount > 0) {
+      return res.status(400).json({
+        message: `This group has ${assignmentCount} assignment(s) set to it. Change those assignments first.`
+      });
+    }
+
+    req.classData.groups.pull(group._id);
+    await req.classData.save();
+
+    res.json({
+      message: 'Group deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Update class details (teacher only)
 const updateClass = async (req, res) => {
   try {
@@ -347,12 +497,29 @@ const deleteClass = async (req, res) => {
     // Delete media records
     await Media.deleteMany({ classId });
 
-    // Delete assignments
+    // Delete students' sign video answers and started attempts, then the assignments
+    const assignments = await Assignment.find({ classId }).select('responseVideos');
+    for (const assignment of assignments) {
+      await Promise.all(assignment.responseVideos.map(video => deleteFile(video.filePath)));
+    }
+    await AttemptSession.deleteMany({ assignmentId: { $in: assignments.map(assignment => assignment._id) } });
     await Assignment.deleteMany({ classId });
 
     // Delete class
     await Class.findByIdAndDelete(classId);
 
+    await recordAudit(req, {
+      action: 'class_delete',
+      targetType: 'Class',
+      targetId: classId,
+      classId,
+      before: {
+        ...snapshot(req.classData, ['name', 'subject', 'classCode', 'teacherId']),
+        studentCount: req.classData.students.length,
+        mediaCount: mediaFiles.length
+      }
+    });
+
     res.json({
       message: 'Class deleted successfully'
     });
@@ -416,5 +583,8 @@ module.exports = {
   removeStudentFromClass,
   updateClass,
   deleteClass,
-  getClassStats
+  getClassStats,
+  createGroup,
+  updateGroup,
+  deleteGroup
 };
@@ -0,0 +1,339 @@
+const GuardianInvite = require('../models/GuardianInvite');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const { validationResult } = require('express-validator');
+const { schoolScope, isSameSchool } = require('../middleware/auth');
+
+// Helper: students manage their own guardians, teachers manage those of their students
+const canManageStudent = async (user, studentId) => {
+  if (user.role === 'student') {
+    return user._id.equals(studentId);
+  }
+
+  if (user.role === 'teacher') {
+    const classCount = await Class.countDocuments({ teacherId: user._id, students: studentId });
+    return classCount > 0;
+  }
+
+  return false;
+};
+
+// Create guardian invite (student for themselves, teacher for a student in their class)
+const createInvite = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { relationship } = req.body;
+    const studentId = req.user.role === 'student' ? req.user._id : req.body.studentId;
+
+    if (!studentId) {
+      return res.status(400).json({
+        message: 'Student ID is required'
+      });
+    }
+
+    const student = await User.findOne({
+      _id: studentId,
+      role: 'student',
+      isActive: true,
+      ...schoolScope(req.user)
+    });
+    if (!student) {
+      return res.status(404).json({
+        message: 'Student not found'
+      });
+    }
+
+    if (!(await canManageStudent(req.user, student._id))) {
+      return res.status(403).json({
+        message: 'Access denied. Student is not in any of your classes.'
+      });
+    }
+
+    const expiresInDays = parseInt(process.env.GUARDIAN_INVITE_EXPIRE_DAYS, 10) || 7;
+
+    const invite = new GuardianInvite({
+      studentId: student._id,
+      createdBy: req.user._id,
+      relationship,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    await invite.save();
+
+    res.status(201).json({
+      message: 'Guardian invite created successfully',
+      invite
+    });
+  } catch (error) {
+    console.error('Create guardian invite error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get pending invites for a student
+const getStudentInvites = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!(await canManageStudent(req.user, studentId))) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const invites = await GuardianInvite.find({
+      studentId,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      invites
+    });
+  } catch (error) {
+    console.error('Get guardian invites error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Cancel a pending invite
+const cancelInvite = async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+
+    const invite = await GuardianInvite.findById(inviteId);
+    if (!invite || invite.status !== 'pending') {
+      return res.status(404).json({
+        message: 'Invite not found'
+      });
+    }
+
+    if (!(await canManageStudent(req.user, invite.studentId))) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    invite.status = 'cancelled';
+    await invite.save();
+
+    res.json({
+      message: 'Invite cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel guardian invite error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Redeem an invite code (parent only)
+const redeemInvite = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { code } = req.body;
+
+    const invite = await GuardianInvite.findOne({ code: code.toUpperCase() });
+    if (!invite || !invite.isRedeemable) {
+      return res.status(400).json({
+        message: 'Invite code is invalid or has expired'
+      });
+    }
+
+    // Guardians link to children in their own school only
+    const student = await User.findById(invite.studentId);
+    if (!student || !isSameSchool(req.user, student)) {
+      return res.status(400).json({
+        message: 'Invite code is invalid or has expired'
+      });
+    }
+
+    const parent = await User.findById(req.user._id);
+    const relationship = req.body.relationship || invite.relationship;
+    const existingLink = parent.parentInfo.children.find(
+      link => link.studentId.equals(invite.studentId)
+    );
+
+    if (existingLink && existingLink.status === 'confirmed') {
+      return res.status(400).json({
+        message: 'You are already linked to this student'
+      });
+    }
+
+    // Claim the single-use code before linking, so two parents redeeming it at
+    // the same time cannot both be linked
+    const redeemedAt = new Date();
+    const claimed = await GuardianInvite.findOneAndUpdate(
+      { _id: invite._id, status: 'pending', expiresAt: { $gt: redeemedAt } },
+      { $set: { status: 'redeemed', redeemedBy: parent._id, redeemedAt } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        message: 'Invite code is invalid or has expired'
+      });
+    }
+
+    // Re-confirm a previously revoked link or add a new one
+    if (existingLink) {
+      existingLink.status = 'confirmed';
+      existingLink.relationship = relationship;
+      existingLink.inviteId = invite._id;
+      existingLink.linkedAt = new Date();
+      existingLink.revokedAt = undefined;
+      existingLink.revokedBy = undefined;
+    } else {
+      parent.parentInfo.children.push({
+        studentId: invite.studentId,
+        status: 'confirmed',
+        relationship,
+        inviteId: invite._id
+      });
+    }
+
+    try {
+      await parent.save();
+    } catch (saveError) {
+      // Give the code back so it can still be used
+      await GuardianInvite.updateOne(
+        { _id: invite._id, status: 'redeemed', redeemedBy: parent._id },
+        { $set: { status: 'pending' }, $unset: { redeemedBy: 1, redeemedAt: 1 } }
+      );
+      throw saveError;
+    }
+
+    await parent.populate('parentInfo.children.studentId', 'name email');
+
+    res.json({
+      message: 'Successfully linked to student',
+      children: parent.parentInfo.children
+    });
+  } catch (error) {
+    console.error('Redeem guardian invite error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get linked children (parent only)
+const getMyChildren = async (req, res) => {
+  try {
+    const parent = await User.findById(req.user._id)
+      .populate('parentInfo.children.studentId', 'name email studentInfo.grade');
+
+    res.json({
+      children: parent.parentInfo.children.filter(link => link.status === 'confirmed')
+    });
+  } catch (error) {
+    console.error('Get children error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get guardians linked to a student
+const getStudentGuardians = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!(await canManageStudent(req.user, studentId))) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const parents = await User.findGuardians(studentId).select('name email parentInfo');
+
+    const guardians = parents.map(parent => {
+      const link = parent.parentInfo.children.find(child => child.studentId.equals(studentId));
+      return {
+        id: parent._id,
+        name: parent.name,
+        email: parent.email,
+        relationship: link.relationship,
+        linkedAt: link.linkedAt
+      };
+    });
+
+    res.json({
+      guardians
+    });
+  } catch (error) {
+    console.error('Get student guardians error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Revoke a guardian link (parent for themselves, student or teacher for the student)
+const revokeLink = async (req, res) => {
+  try {
+    const { studentId, parentId } = req.params;
+
+    const isSelf = req.user.role === 'parent' && req.user._id.equals(parentId);
+    if (!isSelf && !(await canManageStudent(req.user, studentId))) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const parent = await User.findOne({ _id: parentId, role: 'parent' });
+    const link = parent && parent.parentInfo.children.find(
+      child => child.studentId.equals(studentId) && child.status === 'confirmed'
+    );
+
+    if (!link) {
+      return res.status(404).json({
+        message: 'Guardian link not found'
+      });
+    }
+
+    link.status = 'revoked';
+    link.revokedAt = new Date();
+    link.revokedBy = req.user._id;
+    await parent.save();
+
+    res.json({
+      message: 'Guardian link revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke guardian link error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createInvite,
+  getStudentInvites,
+  cancelInvite,
+  redeemInvite,
+  getMyChildren,
+  getStudentGuardians,
+  revokeLink
+};
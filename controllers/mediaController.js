@@ -2,6 +2,7 @@ const Media = require('../models/Media');
 const Class = require('../models/Class');
 const { validationResult } = require('express-validator');
 const { getFileInfo, deleteFile } = require('../middleware/upload');
+const { recordAudit, snapshot } = require('../utils/audit');
 
 // Upload media file
 const uploadMedia = async (req, res) => {
@@ -62,6 +63,7 @@ const uploadMedia = async (req, res) => {
       type,
       category: category || 'general',
       classId,
+      schoolId: classData.schoolId,
       uploadedBy,
       tags: tags ? tags.split(',').map(tag => tag.trim()) : []
     });
@@ -326,6 +328,14 @@ const deleteMedia = async (req, res) => {
     // Delete media record
     await Media.findByIdAndDelete(mediaId);
 
+    await recordAudit(req, {
+      action: 'media_delete',
+      targetType: 'Media',
+      targetId: media._id,
+      classId: media.classId,
+      before: snapshot(media, ['title', 'originalName', 'type', 'filePath', 'uploadedBy'])
+    });
+
     res.json({
       message: 'Media deleted successfully'
     });
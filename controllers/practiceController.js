@@ -46,6 +46,7 @@ const savePractice = async (req, res) => {
     // Create practice record
     const practice = new Practice({
       studentId,
+      schoolId: req.user.schoolId,
       type,
       category,
       content,
@@ -339,7 +340,8 @@ const updatePractice = async (req, res) => {
     }
 
     const { practiceId } = req.params;
-    const updateData = req.body;
+    // Ownership and school cannot be changed through an update
+    const { studentId: ignoredStudentId, schoolId: ignoredSchoolId, ...updateData } = req.body;
     const studentId = req.user._id;
 
     const practice = await Practice.findById(practiceId);
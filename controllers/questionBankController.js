@@ -0,0 +1,269 @@
+const QuestionBankItem = require('../models/QuestionBankItem');
+const Media = require('../models/Media');
+const Rubric = require('../models/Rubric');
+const { validationResult } = require('express-validator');
+const { validateQuestionFormat, collectMediaIds } = require('../utils/questionValidation');
+
+// Helper: escape user input before using it in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields a teacher may set on a bank question
+const EDITABLE_FIELDS = [
+  'questionText',
+  'questionType',
+  'options',
+  'correctAnswer',
+  'acceptedAnswers',
+  'typoTolerance',
+  'numericRange',
+  'correctAnswers',
+  'matchPairs',
+  'correctOrder',
+  'blanks',
+  'partialCredit',
+  'gradingMode',
+  'mediaIds',
+  'rubricId',
+  'points',
+  'category',
+  'difficulty',
+  'tags'
+];
+
+// Helper: check attached media and rubric belong to the teacher, returns an error message or null
+const checkAttachments = async (fields, teacherId) => {
+  const mediaIds = collectMediaIds(fields);
+  if (mediaIds.length > 0) {
+    const found = await Media.countDocuments({ _id: { $in: mediaIds }, uploadedBy: teacherId });
+    if (found !== mediaIds.length) {
+      return 'Media not found';
+    }
+  }
+
+  if (fields.rubricId) {
+    const rubric = await Rubric.exists({ _id: fields.rubricId, teacherId, isActive: true });
+    if (!rubric) {
+      return 'Rubric not found';
+    }
+  }
+
+  return null;
+};
+
+// Helper: pick the editable fields from a request body
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// Add a question to the teacher's bank
+const createQuestion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickEditableFields(req.body);
+
+    const attachmentError = await checkAttachments(fields, req.user._id);
+    if (attachmentError) {
+      return res.status(400).json({
+        message: attachmentError
+      });
+    }
+
+    const question = new QuestionBankItem({
+      ...fields,
+      teacherId: req.user._id,
+      schoolId: req.user.schoolId
+    });
+
+    await question.save();
+
+    res.status(201).json({
+      message: 'Question added to bank',
+      question
+    });
+  } catch (error) {
+    console.error('Create bank question error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get the teacher's bank questions with optional filters
+const getQuestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category, difficulty, questionType, search, page = 1, limit = 20 } = req.query;
+    const tags = req.query.tags ? req.query.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+    const skip = (page - 1) * limit;
+
+    const query = QuestionBankItem.buildFilter(req.user._id, { tags, category, difficulty, questionType });
+    if (search) {
+      query.questionText = new RegExp(escapeRegex(search), 'i');
+    }
+
+    const questions = await QuestionBankItem.find(query)
+      .populate('mediaIds', 'title type filePath thumbnail')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await QuestionBankItem.countDocuments(query);
+
+    res.json({
+      questions,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get bank questions error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get bank question by ID
+const getQuestionById = async (req, res) => {
+  try {
+    const question = await QuestionBankItem.findOne({
+      _id: req.params.questionId,
+      teacherId: req.user._id,
+      isActive: true
+    }).populate('mediaIds', 'title type filePath thumbnail');
+
+    if (!question) {
+      return res.status(404).json({
+        message: 'Question not found'
+      });
+    }
+
+    res.json({
+      question
+    });
+  } catch (error) {
+    console.error('Get bank question error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update bank question (assignments already built from it keep their copy)
+const updateQuestion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await QuestionBankItem.findOne({
+      _id: req.params.questionId,
+      teacherId: req.user._id,
+      isActive: true
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        message: 'Question not found'
+      });
+    }
+
+    const fields = pickEditableFields(req.body);
+
+    // Matching and ordering options are built from the pairs or the correct
+    // order on save, so rebuild them when those change (unless options were sent)
+    if ((fields.matchPairs !== undefined || fields.correctOrder !== undefined) && fields.options === undefined &&
+      ['matching', 'ordering'].includes(fields.questionType || question.questionType)) {
+      fields.options = [];
+    }
+
+    // Check the question as it will be after the update
+    try {
+      validateQuestionFormat({ ...question.toObject(), ...fields });
+    } catch (formatError) {
+      return res.status(400).json({
+        message: formatError.message
+      });
+    }
+
+    const attachmentError = await checkAttachments(fields, req.user._id);
+    if (attachmentError) {
+      return res.status(400).json({
+        message: attachmentError
+      });
+    }
+
+    question.set(fields);
+    await question.save();
+
+    res.json({
+      message: 'Question updated successfully',
+      question
+    });
+  } catch (error) {
+    console.error('Update bank question error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Remove question from the bank
+const deleteQuestion = async (req, res) => {
+  try {
+    const question = await QuestionBankItem.findOne({
+      _id: req.params.questionId,
+      teacherId: req.user._id,
+      isActive: true
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        message: 'Question not found'
+      });
+    }
+
+    question.isActive = false;
+    await question.save();
+
+    res.json({
+      message: 'Question removed from bank'
+    });
+  } catch (error) {
+    console.error('Delete bank question error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createQuestion,
+  getQuestions,
+  getQuestionById,
+  updateQuestion,
+  deleteQuestion
+};
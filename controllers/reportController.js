@@ -4,6 +4,7 @@ const Media = require('../models/Media');
 const Assignment = require('../models/Assignment');
 const Practice = require('../models/Practice');
 const { validationResult } = require('express-validator');
+const { schoolScope } = require('../middleware/auth');
 
 // Get student progress report
 const getStudentProgressReport = async (req, res) => {
@@ -14,9 +15,14 @@ const getStudentProgressReport = async (req, res) => {
 
     // Verify access permissions
     if (req.user.role === 'parent') {
-      // Check if user is parent of the student
-      const student = await User.findById(studentId);
-      if (!student || student.studentInfo?.parentEmail !== req.user.email) {
+      if (!req.user.isEmailVerified) {
+        return res.status(403).json({
+          message: 'Please verify your email address to access your child\'s data.'
+        });
+      }
+
+      // Check for a confirmed guardian link to the student
+      if (!req.user.isGuardianOf(studentId)) {
         return res.status(403).json({
           message: 'Access denied. You can only view your own child\'s progress.'
         });
@@ -36,6 +42,14 @@ const getStudentProgressReport = async (req, res) => {
           message: 'Access denied. Student is not in any of your classes.'
         });
       }
+    } else {
+      // Administrators can view students of their own school
+      const student = await User.findOne({ _id: studentId, role: 'student', ...schoolScope(req.user) });
+      if (!student) {
+        return res.status(403).json({
+          message: 'Access denied. Student is not in your school.'
+        });
+      }
     }
 
     // Calculate date range
@@ -189,6 +203,9 @@ const getStudentProgressReport = async (req, res) => {
     ]);
 
     // Calculate overall progress score
+    // Report only this student's own work, without unreleased answer keys
+    const recentAssignments = recentActivities[1].map(assignment => assignment.toStudentView(studentId));
+
     const overallScore = calculateOverallProgressScore(
       practiceStats,
       assignmentPerformance,
@@ -205,7 +222,7 @@ const getStudentProgressReport = async (req, res) => {
       mediaConsumption,
       recentActivities: {
         practices: recentActivities[0],
-        assignments: recentActivities[1]
+        assignments: recentAssignments
       }
     });
   } catch (error) {
@@ -332,6 +349,20 @@ const getClassAnalytics = async (req, res) => {
       ])
     ]);
 
+    // Completion only counts the students each assignment was set to
+    const periodAssignments = await Assignment.find({
+      classId,
+      createdAt: { $gte: startDate, $lte: now }
+    }).select('assignedTo submissions.studentId');
+
+    const completion = periodAssignments.reduce((totals, assignment) => {
+      const { assigned, submitted } = assignment.getCompletion(classData);
+      totals.assigned += assigned;
+      totals.submitted += submitted;
+      return totals;
+    }, { assigned: 0, submitted: 0 });
+    completion.rate = completion.assigned > 0 ? Math.round((completion.submitted / completion.assigned) * 100) : 0;
+
     // Get top performers
     const topPerformers = classStats[2].slice(0, 5);
 
@@ -346,6 +377,7 @@ const getClassAnalytics = async (req, res) => {
       dateRange: { start: startDate, end: now },
       mediaStats: classStats[0],
       assignmentStats: classStats[1][0] || {},
+      assignmentCompletion: completion,
       studentEngagement: classStats[2],
       topPerformers,
       strugglingStudents
@@ -363,9 +395,9 @@ const getParentDashboard = async (req, res) => {
   try {
     const parentId = req.user._id;
 
-    // Get parent's children
+    // Get parent's children from confirmed guardian links
     const children = await User.find({
-      'studentInfo.parentEmail': req.user.email,
+      _id: { $in: req.user.getConfirmedChildIds() },
       role: 'student',
       isActive: true
     }).select('-password');
@@ -403,7 +435,7 @@ const getParentDashboard = async (req, res) => {
         return {
           child: child.toJSON(),
           practiceStats,
-          recentAssignments,
+          recentAssignments: recentAssignments.map(assignment => assignment.toStudentView(child._id)),
           classes
         };
       })
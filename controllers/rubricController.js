@@ -0,0 +1,155 @@
+const Rubric = require('../models/Rubric');
+const { validationResult } = require('express-validator');
+
+// Helper: find an active rubric owned by the teacher
+const findOwnRubric = (rubricId, teacherId) => {
+  return Rubric.findOne({ _id: rubricId, teacherId, isActive: true });
+};
+
+// Create rubric (teacher only)
+const createRubric = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, criteria } = req.body;
+
+    const rubric = new Rubric({
+      title,
+      description,
+      criteria,
+      teacherId: req.user._id,
+      schoolId: req.user.schoolId
+    });
+
+    await rubric.save();
+
+    res.status(201).json({
+      message: 'Rubric created successfully',
+      rubric,
+      maxPoints: rubric.maxPoints
+    });
+  } catch (error) {
+    console.error('Create rubric error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get the teacher's rubrics
+const getRubrics = async (req, res) => {
+  try {
+    const rubrics = await Rubric.find({ teacherId: req.user._id, isActive: true })
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      rubrics: rubrics.map(rubric => ({
+        ...rubric.toObject(),
+        maxPoints: rubric.maxPoints
+      }))
+    });
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get rubric by ID
+const getRubricById = async (req, res) => {
+  try {
+    const rubric = await findOwnRubric(req.params.rubricId, req.user._id);
+    if (!rubric) {
+      return res.status(404).json({
+        message: 'Rubric not found'
+      });
+    }
+
+    res.json({
+      rubric,
+      maxPoints: rubric.maxPoints
+    });
+  } catch (error) {
+    console.error('Get rubric error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update rubric (answers already graded keep their points)
+const updateRubric = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rubric = await findOwnRubric(req.params.rubricId, req.user._id);
+    if (!rubric) {
+      return res.status(404).json({
+        message: 'Rubric not found'
+      });
+    }
+
+    const { title, description, criteria } = req.body;
+    if (title !== undefined) rubric.title = title;
+    if (description !== undefined) rubric.description = description;
+    if (criteria !== undefined) rubric.criteria = criteria;
+
+    await rubric.save();
+
+    res.json({
+      message: 'Rubric updated successfully',
+      rubric,
+      maxPoints: rubric.maxPoints
+    });
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete rubric (kept for answers already graded with it)
+const deleteRubric = async (req, res) => {
+  try {
+    const rubric = await findOwnRubric(req.params.rubricId, req.user._id);
+    if (!rubric) {
+      return res.status(404).json({
+        message: 'Rubric not found'
+      });
+    }
+
+    rubric.isActive = false;
+    await rubric.save();
+
+    res.json({
+      message: 'Rubric deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete rubric error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createRubric,
+  getRubrics,
+  getRubricById,
+  updateRubric,
+  deleteRubric
+};
@@ -0,0 +1,332 @@
+const School = require('../models/School');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const Session = require('../models/Session');
+const { validationResult } = require('express-validator');
+
+// Create school (super admin only)
+const createSchool = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, district, address, contactEmail } = req.body;
+
+    const existingSchool = await School.findOne({ code: code.toUpperCase() });
+    if (existingSchool) {
+      return res.status(400).json({
+        message: 'A school already exists with this code'
+      });
+    }
+
+    const school = new School({
+      name,
+      code,
+      district,
+      address,
+      contactEmail,
+      createdBy: req.user._id
+    });
+
+    await school.save();
+
+    res.status(201).json({
+      message: 'School created successfully',
+      school
+    });
+  } catch (error) {
+    console.error('Create school error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get all schools with user counts (super admin only)
+const getSchools = async (req, res) => {
+  try {
+    const schools = await School.find().sort({ name: 1 }).lean();
+
+    const counts = await User.aggregate([
+      { $match: { schoolId: { $in: schools.map(school => school._id) } } },
+      { $group: { _id: { schoolId: '$schoolId', role: '$role' }, count: { $sum: 1 } } }
+    ]);
+
+    schools.forEach(school => {
+      school.userCounts = counts
+        .filter(count => count._id.schoolId.equals(school._id))
+        .reduce((byRole, count) => ({ ...byRole, [count._id.role]: count.count }), {});
+    });
+
+    res.json({
+      schools
+    });
+  } catch (error) {
+    console.error('Get schools error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get school by ID (super admin, or a member of the school)
+const getSchoolById = async (req, res) => {
+  try {
+    const { schoolId } = req.params;
+
+    if (req.user.role !== 'super_admin' && !req.user.schoolId.equals(schoolId)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const school = await School.findById(schoolId);
+    if (!school) {
+      return res.status(404).json({
+        message: 'School not found'
+      });
+    }
+
+    const admins = await User.find({ schoolId, role: 'admin' }).select('name email isActive');
+
+    res.json({
+      school,
+      admins
+    });
+  } catch (error) {
+    console.error('Get school error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update school (super admin only)
+const updateSchool = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { schoolId } = req.params;
+    const { name, district, address, contactEmail, isActive } = req.body;
+
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (district !== undefined) updateData.district = district;
+    if (address !== undefined) updateData.address = address;
+    if (contactEmail !== undefined) updateData.contactEmail = contactEmail;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const school = await School.findByIdAndUpdate(
+      schoolId,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!school) {
+      return res.status(404).json({
+        message: 'School not found'
+      });
+    }
+
+    res.json({
+      message: 'School updated successfully',
+      school
+    });
+  } catch (error) {
+    console.error('Update school error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update school security policy (super admin, or an admin of the school)
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { schoolId } = req.params;
+    const { twoFactorRequiredRoles } = req.body;
+
+    if (req.user.role !== 'super_admin' && !req.user.schoolId.equals(schoolId)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const school = await School.findById(schoolId);
+    if (!school) {
+      return res.status(404).json({
+        message: 'School not found'
+      });
+    }
+
+    school.securitySettings.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    await school.save();
+
+    res.json({
+      message: 'Security settings updated successfully',
+      securitySettings: school.securitySettings
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create an administrator account for a school (super admin only)
+const createSchoolAdmin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { schoolId } = req.params;
+    const { name, email, password } = req.body;
+
+    const school = await School.findById(schoolId);
+    if (!school) {
+      return res.status(404).json({
+        message: 'School not found'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        message: 'User already exists with this email'
+      });
+    }
+
+    const admin = new User({
+      name,
+      email,
+      password,
+      role: 'admin',
+      schoolId: school._id,
+      isEmailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    await admin.save();
+
+    res.status(201).json({
+      message: 'School administrator created successfully',
+      user: admin.toJSON()
+    });
+  } catch (error) {
+    console.error('Create school admin error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Move a user to another school (super admin only)
+const moveUserToSchool = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { schoolId } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user || user.role === 'super_admin') {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    const school = await School.findOne({ _id: schoolId, isActive: true });
+    if (!school) {
+      return res.status(404).json({
+        message: 'School not found'
+      });
+    }
+
+    if (user.schoolId && user.schoolId.equals(school._id)) {
+      return res.status(400).json({
+        message: 'User already belongs to this school'
+      });
+    }
+
+    // Classes cannot follow their teacher to another school
+    if (user.role === 'teacher') {
+      const ownedClasses = await Class.countDocuments({ teacherId: user._id });
+      if (ownedClasses > 0) {
+        return res.status(400).json({
+          message: 'Reassign this teacher\'s classes before moving them to another school'
+        });
+      }
+    }
+
+    // Students leave the classes of their old school
+    if (user.role === 'student') {
+      await Class.updateMany(
+        { students: user._id },
+        { $pull: { students: user._id } }
+      );
+      // Only classes that have groups (older classes were saved without the field)
+      await Class.updateMany(
+        { 'groups.studentIds': user._id },
+        { $pull: { 'groups.$[].studentIds': user._id } }
+      );
+      user.studentInfo.classIds = [];
+    }
+
+    user.schoolId = school._id;
+    await user.save();
+
+    // Existing tokens were issued for the old school
+    await Session.revokeAllForUser(user._id, 'moved_school');
+
+    res.json({
+      message: 'User moved to school successfully',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Move user to school error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createSchool,
+  getSchools,
+  getSchoolById,
+  updateSchool,
+  updateSecuritySettings,
+  createSchoolAdmin,
+  moveUserToSchool
+};
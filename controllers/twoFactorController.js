@@ -0,0 +1,247 @@
+const User = require('../models/User');
+const LockoutEvent = require('../models/LockoutEvent');
+const { validationResult } = require('express-validator');
+const { generateToken } = require('../middleware/auth');
+const { generateSecret, verifyCode, buildProvisioningUri, generateRecoveryCodes } = require('../utils/totp');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Sign Language Education';
+
+// Helper: refuse two-factor changes while the account is locked or must wait after failed attempts
+const checkRetryAfter = (res, user) => {
+  const retryAfter = user.getLoginRetryAfter();
+  if (retryAfter === 0) return false;
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(user.isLocked ? 423 : 429).json({
+    message: user.isLocked
+      ? 'Account is temporarily locked after too many failed attempts. Try again later.'
+      : 'Please wait before trying again.',
+    locked: user.isLocked,
+    retryAfter
+  });
+  return true;
+};
+
+// Helper: count a wrong password or code like a failed login, so the same lockout applies
+const rejectFailedCode = async (req, res, user, message) => {
+  const { user: updated, locked } = await User.registerFailedLogin(user._id);
+
+  if (locked) {
+    await LockoutEvent.create({
+      userId: updated._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      lockedUntil: updated.loginSecurity.lockUntil
+    });
+
+    return res.status(423).json({
+      message: 'Account is temporarily locked after too many failed attempts. Try again later.',
+      locked: true,
+      lockUntil: updated.loginSecurity.lockUntil,
+      retryAfter: updated.getLoginRetryAfter()
+    });
+  }
+
+  return res.status(400).json({
+    message
+  });
+};
+
+// Get two-factor status for the current user
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodeHashes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await user.isTwoFactorRequired(),
+      remainingRecoveryCodes: user.twoFactor.recoveryCodeHashes.length
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Start two-factor enrolment by creating a secret for the authenticator app
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildProvisioningUri(secret, user.email, TOTP_ISSUER)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Confirm enrolment with a code from the authenticator app
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.setRecoveryCodes(generateRecoveryCodes());
+    await user.save();
+
+    // The current access token may still be limited to enrolment routes
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes,
+      token: generateToken(user._id, req.authSession._id)
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Turn off two-factor authentication (not allowed when the school requires it)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (checkRetryAfter(res, user)) return;
+
+    if (await user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        message: 'Your school requires two-factor authentication for your role'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !user.verifyTwoFactorCode(code)) {
+      return rejectFailedCode(req, res, user, 'Password or authentication code is incorrect');
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Replace all recovery codes (requires a current authenticator code)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (checkRetryAfter(res, user)) return;
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return rejectFailedCode(req, res, user, 'Invalid authentication code');
+    }
+
+    const recoveryCodes = user.setRecoveryCodes(generateRecoveryCodes());
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
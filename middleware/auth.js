@@ -1,11 +1,68 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId, options = {}) => {
+  const payload = { userId, sessionId };
+  
+  // Tokens of users who still have to enrol in two-factor auth only reach the enrolment routes
+  if (options.twoFactorSetupRequired) {
+    payload.twoFactorSetupRequired = true;
+  }
+  
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Generate the short-lived token that links the password step of a login to the two-factor step
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: 'two_factor_login' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Verify a two-factor challenge token and return its payload
+const verifyTwoFactorChallenge = (challengeToken) => {
+  const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  
+  if (decoded.purpose !== 'two_factor_login') {
+    throw new jwt.JsonWebTokenError('Invalid two-factor challenge');
+  }
+  
+  return decoded;
+};
+
+// Start a new session and issue an access token and refresh token for it
+const issueAuthTokens = async (user, req) => {
+  const twoFactorSetupRequired = await user.needsTwoFactorSetup();
+  const { platform, screenSize, inputMethod } = req.body.deviceInfo || {};
+
+  const { session, refreshToken } = await Session.createSession(user._id, {
+    deviceInfo: { platform, screenSize, inputMethod },
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
   });
+
+  return {
+    token: generateToken(user._id, session._id, { twoFactorSetupRequired }),
+    refreshToken,
+    session,
+    twoFactorSetupRequired
+  };
+};
+
+// Find the active session an access token was issued for
+const findActiveSession = async (decoded) => {
+  if (!decoded.sessionId) return null;
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive || !session.userId.equals(decoded.userId)) {
+    return null;
+  }
+
+  return session;
 };
 
 // Verify JWT token
@@ -29,6 +86,15 @@ const verifyToken = async (req, res, next) => {
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Check that the session has not been revoked (e.g. by logout)
+    const session = await findActiveSession(decoded);
+    
+    if (!session) {
+      return res.status(401).json({ 
+        message: 'Session is no longer valid. Please log in again.' 
+      });
+    }
+    
     // Check if user still exists and is active
     const user = await User.findById(decoded.userId).select('-password');
     
@@ -44,7 +110,15 @@ const verifyToken = async (req, res, next) => {
       });
     }
     
+    if (decoded.twoFactorSetupRequired && !req.allowTwoFactorSetup) {
+      return res.status(403).json({ 
+        message: 'Your school requires two-factor authentication. Please set it up to continue.',
+        twoFactorSetupRequired: true
+      });
+    }
+    
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -64,6 +138,12 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// Let tokens of users who still have to enrol in two-factor auth through (use before verifyToken)
+const allowTwoFactorSetup = (req, res, next) => {
+  req.allowTwoFactorSetup = true;
+  next();
+};
+
 // Role-based authorization middleware
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -83,6 +163,37 @@ const authorize = (...roles) => {
   };
 };
 
+// Require a verified email address (e.g. before exposing a child's data to a parent)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      message: 'Authentication required.' 
+    });
+  }
+  
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({ 
+      message: 'Please verify your email address to access this resource.' 
+    });
+  }
+  
+  next();
+};
+
+// Query filter limiting results to the caller's school (super admins see every school)
+const schoolScope = (user) => {
+  return user.role === 'super_admin' ? {} : { schoolId: user.schoolId };
+};
+
+// Check if a document (user, class, ...) belongs to the caller's school
+const isSameSchool = (user, doc) => {
+  if (user.role === 'super_admin') return true;
+  if (!doc || !doc.schoolId || !user.schoolId) return false;
+
+  const schoolId = doc.schoolId._id || doc.schoolId;
+  return schoolId.equals(user.schoolId);
+};
+
 // Check if user is teacher of a class
 const isClassTeacher = async (req, res, next) => {
   try {
@@ -154,6 +265,12 @@ const isParentOfStudent = async (req, res, next) => {
       });
     }
     
+    if (!req.user.isEmailVerified) {
+      return res.status(403).json({ 
+        message: 'Please verify your email address to access your child\'s data.' 
+      });
+    }
+    
     const student = await User.findById(studentId);
     
     if (!student) {
@@ -162,8 +279,8 @@ const isParentOfStudent = async (req, res, next) => {
       });
     }
     
-    // Check if the student's parentEmail matches the parent's email
-    if (student.studentInfo?.parentEmail !== req.user.email) {
+    // Check for a confirmed guardian link to the student
+    if (!req.user.isGuardianOf(student._id)) {
       return res.status(403).json({ 
         message: 'Access denied. You can only access your own child\'s data.' 
       });
@@ -189,10 +306,12 @@ const optionalAuth = async (req, res, next) => {
       
       if (token) {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
+        const session = await findActiveSession(decoded);
+        const user = session && await User.findById(decoded.userId).select('-password');
         
         if (user && user.isActive) {
           req.user = user;
+          req.authSession = session;
         }
       }
     }
@@ -206,8 +325,15 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   generateToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  issueAuthTokens,
   verifyToken,
+  allowTwoFactorSetup,
   authorize,
+  requireVerifiedEmail,
+  schoolScope,
+  isSameSchool,
   isClassTeacher,
   isClassStudent,
   isParentOfStudent,
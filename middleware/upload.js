@@ -2,13 +2,18 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 
+// Students' sign-video answers are kept outside the public uploads folder and
+// only streamed to the student and their teacher through the API
+const RESPONSE_VIDEO_DIR = 'private-uploads/response-videos';
+
 // Ensure upload directories exist
 const ensureUploadDirs = async () => {
   const dirs = [
     'uploads/videos',
     'uploads/images',
     'uploads/documents',
-    'uploads/thumbnails'
+    'uploads/thumbnails',
+    RESPONSE_VIDEO_DIR
   ];
   
   for (const dir of dirs) {
@@ -82,10 +87,36 @@ const upload = multer({
   }
 });
 
+// Storage for students' sign-video answers (not served as static files)
+const responseVideoStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, `${RESPONSE_VIDEO_DIR}/`);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `answer_${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
+// Multer configuration for students' sign-video answers (one video file only)
+const responseVideoUpload = multer({
+  storage: responseVideoStorage,
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('video/')) {
+      return cb(new Error('Sign answers must be video files'), false);
+    }
+    fileFilter(req, file, cb);
+  },
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit
+    files: 1
+  }
+});
+
 // Upload middleware for single file
-const uploadSingle = (fieldName) => {
+const uploadSingle = (fieldName, uploader = upload) => {
   return (req, res, next) => {
-    const uploadMiddleware = upload.single(fieldName);
+    const uploadMiddleware = uploader.single(fieldName);
     
     uploadMiddleware(req, res, (err) => {
       if (err instanceof multer.MulterError) {
@@ -149,6 +180,7 @@ const uploadVideo = uploadSingle('video');
 const uploadImage = uploadSingle('image');
 const uploadDocument = uploadSingle('document');
 const uploadMultipleFiles = uploadMultiple('files');
+const uploadResponseVideo = uploadSingle('video', responseVideoUpload);
 
 // Helper function to delete file
 const deleteFile = async (filePath) => {
@@ -204,6 +236,7 @@ module.exports = {
   uploadImage,
   uploadDocument,
   uploadMultipleFiles,
+  uploadResponseVideo,
   deleteFile,
   getFileInfo,
   cleanupFiles,
@@ -1,4 +1,243 @@
 const mongoose = require('mongoose');
+const { matchesAny, matchesNumericRange } = require('../utils/answerMatching');
+const { QUESTION_TYPES, questionFields, fillDisplayOptions } = require('./questionFields');
+const { seedFrom, shuffleWithSeed } = require('../utils/shuffle');
+
+// Question types a teacher scores by hand unless the question sets gradingMode
+const MANUALLY_GRADED_TYPES = ['long_answer', 'sign_video'];
+
+// Question types whose options are shuffled when randomizeOptions is on
+const SHUFFLED_OPTION_TYPES = ['multiple_choice', 'multi_select'];
+
+// Answer to one question, scored when submitted. The shape depends on the
+// question type: a string, a list (multi_select, ordering, fill_in_blank)
+// or an object of pair ID to chosen match (matching)
+const answerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  answer: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Seconds spent on the question, when the client reports it
+  timeSpent: {
+    type: Number,
+    min: 0
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false
+  },
+  pointsEarned: {
+    type: Number,
+    default: 0
+  },
+  // Set for answers the teacher still has to score (e.g. sign videos)
+  needsGrading: {
+    type: Boolean,
+    default: false
+  },
+  // Hand grading: the teacher's comment and, for rubric questions, the level chosen per criterion
+  feedback: {
+    type: String,
+    maxlength: [1000, 'Feedback cannot exceed 1000 characters']
+  },
+  rubricScores: [{
+    criterionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    levelId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    points: {
+      type: Number,
+      default: 0
+    }
+  }],
+  gradedAt: {
+    type: Date
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// One attempt at the assignment; every attempt is kept
+const attemptSchema = new mongoose.Schema({
+  attemptNumber: {
+    type: Number,
+    required: true
+  },
+  answers: [answerSchema],
+  // Score after the late penalty; rawScore is the score before it
+  score: {
+    type: Number,
+    default: 0
+  },
+  rawScore: {
+    type: Number
+  },
+  percentage: {
+    type: Number,
+    default: 0
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  minutesLate: {
+    type: Number,
+    default: 0
+  },
+  // Timed attempts: when the clock started, and whether the server submitted
+  // the saved answers because time ran out
+  startedAt: {
+    type: Date
+  },
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  needsGrading: {
+    type: Boolean,
+    default: false
+  },
+  // Percentage taken off the raw score
+  latePenaltyApplied: {
+    type: Number,
+    default: 0
+  },
+  feedback: {
+    type: String,
+    maxlength: [1000, 'Feedback cannot exceed 1000 characters']
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  gradedAt: {
+    type: Date
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Helper: check if a question is scored by the teacher (sign videos always are)
+const isManuallyGraded = (question) => {
+  if (question.questionType === 'sign_video') return true;
+
+  return question.gradingMode
+    ? question.gradingMode === 'manual'
+    : MANUALLY_GRADED_TYPES.includes(question.questionType);
+};
+
+// Helper: compare answers without case or surrounding spaces
+const normalizeText = (value) => String(value === undefined || value === null ? '' : value).toLowerCase().trim();
+
+// Scorers per question type: return the fraction of the points earned (0 to 1)
+const scoreText = (question, answer) => {
+  if (!question.correctAnswer || typeof answer !== 'string') return 0;
+  return normalizeText(answer) === normalizeText(question.correctAnswer) ? 1 : 0;
+};
+
+// Typed answers: any accepted answer (spelling tolerance, punctuation and
+// spacing ignored) or a number within the accepted range
+const scoreTypedAnswer = (question, answer) => {
+  if (typeof answer !== 'string') return 0;
+
+  const range = question.numericRange;
+  if (range && (typeof range.min === 'number' || typeof range.max === 'number')) {
+    return matchesNumericRange(answer, range) ? 1 : 0;
+  }
+
+  const accepted = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+  return matchesAny(answer, accepted, question.typoTolerance || 0) ? 1 : 0;
+};
+
+const questionScorers = {
+  multiple_choice: scoreText,
+  true_false: scoreText,
+  short_answer: scoreTypedAnswer,
+  long_answer: scoreTypedAnswer,
+
+  // Right selections count for, wrong selections against
+  multi_select: (question, answer) => {
+    if (!Array.isArray(answer) || question.correctAnswers.length === 0) return 0;
+
+    const correct = new Set(question.correctAnswers.map(normalizeText));
+    const selected = new Set(answer.map(normalizeText));
+    const hits = [...selected].filter(option => correct.has(option)).length;
+    const misses = selected.size - hits;
+
+    return Math.max((hits - misses) / correct.size, 0);
+  },
+
+  matching: (question, answer) => {
+    if (!answer || typeof answer !== 'object' || question.matchPairs.length === 0) return 0;
+
+    const matched = question.matchPairs.filter(
+      pair => normalizeText(answer[pair._id.toString()]) === normalizeText(pair.match)
+    ).length;
+    return matched / question.matchPairs.length;
+  },
+
+  // Fraction of items in the right position
+  ordering: (question, answer) => {
+    if (!Array.isArray(answer) || question.correctOrder.length === 0) return 0;
+
+    const inPlace = question.correctOrder.filter(
+      (item, index) => normalizeText(answer[index]) === normalizeText(item)
+    ).length;
+    return inPlace / question.correctOrder.length;
+  },
+
+  // Scored by the teacher
+  sign_video: () => 0,
+
+  fill_in_blank: (question, answer) => {
+    if (!Array.isArray(answer) || question.blanks.length === 0) return 0;
+
+    const filled = question.blanks.filter((blank, index) =>
+      typeof answer[index] === 'string' && matchesAny(answer[index], blank.acceptedAnswers, question.typoTolerance || 0)
+    ).length;
+    return filled / question.blanks.length;
+  }
+};
+
+// Score one answer against its question
+const scoreQuestion = (question, answer) => {
+  const scorer = questionScorers[question.questionType] || scoreText;
+  const fraction = scorer(question, answer);
+
+  // Without partial credit only a fully right answer earns points
+  return question.partialCredit || fraction === 1 ? fraction : 0;
+};
+
+// Remove everything that gives the answer away from a plain question object
+const stripAnswerKey = (question) => {
+  delete question.correctAnswer;
+  delete question.correctAnswers;
+  delete question.acceptedAnswers;
+  delete question.numericRange;
+  delete question.correctOrder;
+  (question.blanks || []).forEach(blank => {
+    delete blank.acceptedAnswers;
+  });
+  (question.matchPairs || []).forEach(pair => {
+    delete pair.match;
+  });
+};
+
+// Apply a late penalty percentage to a raw score
+const applyPenalty = (rawScore, penaltyPercent) => {
+  return Math.round(rawScore * (100 - penaltyPercent)) / 100;
+};
 
 const assignmentSchema = new mongoose.Schema({
   title: {
@@ -16,28 +255,11 @@ const assignmentSchema = new mongoose.Schema({
     maxlength: [2000, 'Instructions cannot exceed 2000 characters']
   },
   questions: [{
-    questionText: {
-      type: String,
-      required: [true, 'Question text is required'],
-      maxlength: [1000, 'Question cannot exceed 1000 characters']
-    },
-    questionType: {
-      type: String,
-      enum: ['multiple_choice', 'short_answer', 'long_answer', 'true_false'],
-      default: 'short_answer'
-    },
-    options: [{
-      type: String,
-      maxlength: [200, 'Option cannot exceed 200 characters']
-    }],
-    correctAnswer: {
-      type: String,
-      maxlength: [500, 'Correct answer cannot exceed 500 characters']
-    },
-    points: {
-      type: Number,
-      default: 1,
-      min: 1
+    ...questionFields,
+    // Bank question this was copied from, if any
+    sourceQuestionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuestionBankItem'
     },
     order: {
       type: Number,
@@ -57,39 +279,41 @@ const assignmentSchema = new mongoose.Schema({
     ref: 'Class',
     required: [true, 'Class ID is required']
   },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Creator ID is required']
   },
+  // One entry per student: answers of the latest attempt, gradebook score
+  // from the scoring policy, and the full attempt history
   submissions: [{
     studentId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
     },
-    answers: [{
-      questionId: {
-        type: mongoose.Schema.Types.ObjectId,
-        required: true
-      },
-      answer: {
-        type: String,
-        maxlength: [2000, 'Answer cannot exceed 2000 characters']
-      },
-      isCorrect: {
-        type: Boolean,
-        default: false
-      },
-      pointsEarned: {
-        type: Number,
-        default: 0
-      }
-    }],
+    answers: [answerSchema],
+    attempts: [attemptSchema],
     score: {
       type: Number,
       default: 0
     },
+    rawScore: {
+      type: Number
+    },
+    // Lateness of the latest attempt
+    isLate: {
+      type: Boolean,
+      default: false
+    },
+    minutesLate: {
+      type: Number,
+      default: 0
+    },
     percentage: {
       type: Number,
       default: 0
@@ -110,10 +334,123 @@ const assignmentSchema = new mongoose.Schema({
       ref: 'User'
     }
   }],
+  // Only these students and the members of these class groups get the
+  // assignment; when both are empty the whole class does
+  assignedTo: {
+    studentIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    groupIds: [{
+      type: mongoose.Schema.Types.ObjectId
+    }]
+  },
+  // Publish workflow: drafts are only visible to the teacher, scheduled
+  // assignments appear at publishAt, closed ones stop accepting submissions
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published', 'closed'],
+    default: 'draft'
+  },
+  publishAt: {
+    type: Date
+  },
+  closeAt: {
+    type: Date
+  },
+  // Kept for older clients: true once the teacher has released the assignment
   isPublished: {
     type: Boolean,
     default: false
   },
+  maxAttempts: {
+    type: Number,
+    default: 1,
+    min: [1, 'At least one attempt must be allowed'],
+    max: [20, 'Cannot allow more than 20 attempts']
+  },
+  // Give every student their own (stable) question order and choice order
+  randomizeQuestions: {
+    type: Boolean,
+    default: false
+  },
+  randomizeOptions: {
+    type: Boolean,
+    default: false
+  },
+  // Minutes a student has from starting an attempt (no limit when unset)
+  timeLimitMinutes: {
+    type: Number,
+    min: [1, 'Time limit must be at least 1 minute'],
+    max: [600, 'Time limit cannot exceed 600 minutes']
+  },
+  // Sign videos students recorded as answers; a sign_video answer holds the ID of one
+  responseVideos: [{
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    filePath: {
+      type: String,
+      required: true
+    },
+    originalName: {
+      type: String
+    },
+    mimeType: {
+      type: String
+    },
+    fileSize: {
+      type: Number
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Per-student overrides, e.g. extra time for students who need it
+  accommodations: [{
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    dueDate: {
+      type: Date
+    },
+    timeLimitMinutes: {
+      type: Number,
+      min: [1, 'Time limit must be at least 1 minute']
+    },
+    maxAttempts: {
+      type: Number,
+      min: [1, 'At least one attempt must be allowed'],
+      max: [20, 'Cannot allow more than 20 attempts']
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Which attempt counts for the gradebook
+  scoringPolicy: {
+    type: String,
+    enum: ['highest', 'latest', 'average'],
+    default: 'highest'
+  },
   allowLateSubmission: {
     type: Boolean,
     default: false
@@ -124,6 +461,23 @@ const assignmentSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // flat: latePenalty % once; per_day: latePenalty % for every started day late
+  latePenaltyMode: {
+    type: String,
+    enum: ['flat', 'per_day'],
+    default: 'flat'
+  },
+  // Late work is refused this many days after the due date (no limit when unset)
+  lateCutoffDays: {
+    type: Number,
+    min: [0, 'Late cutoff cannot be negative']
+  },
+  // When students get to see the correct answers
+  answerKeyRelease: {
+    type: String,
+    enum: ['after_due_date', 'after_grading', 'never'],
+    default: 'after_due_date'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -142,20 +496,52 @@ const assignmentSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 assignmentSchema.index({ classId: 1 });
+assignmentSchema.index({ schoolId: 1 });
 assignmentSchema.index({ createdBy: 1 });
 assignmentSchema.index({ dueDate: 1 });
 assignmentSchema.index({ 'submissions.studentId': 1 });
 assignmentSchema.index({ isPublished: 1 });
+assignmentSchema.index({ classId: 1, status: 1, publishAt: 1 });
+
+// Matching and ordering questions get their display order (see fillDisplayOptions)
+assignmentSchema.pre('validate', function(next) {
+  this.questions.forEach(fillDisplayOptions);
+  next();
+});
 
 // Calculate total points before saving
 assignmentSchema.pre('save', function(next) {
   if (this.isModified('questions')) {
     this.totalPoints = this.questions.reduce((total, question) => total + question.points, 0);
   }
+  this.isPublished = this.status !== 'draft';
   this.updatedAt = Date.now();
   next();
 });
 
+assignmentSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+// Static method to build the query for assignments students can see
+assignmentSchema.statics.visibleToStudentsQuery = function(now = new Date()) {
+  return {
+    $or: [
+      { status: { $in: ['published', 'closed'] } },
+      { status: 'scheduled', publishAt: { $lte: now } }
+    ]
+  };
+};
+
+// Static method to build the query for assignments set to a student (directly, through one of their groups, or to the whole class)
+assignmentSchema.statics.assignedToStudentQuery = function(studentId, groupIds = []) {
+  return {
+    $or: [
+      { 'assignedTo.studentIds.0': { $exists: false }, 'assignedTo.groupIds.0': { $exists: false } },
+      { 'assignedTo.studentIds': studentId },
+      { 'assignedTo.groupIds': { $in: groupIds } }
+    ]
+  };
+};
+
 // Virtual for submission count
 assignmentSchema.virtual('submissionCount').get(function() {
   return this.submissions.length;
@@ -169,62 +555,473 @@ assignmentSchema.virtual('averageScore').get(function() {
   return Math.round(totalScore / this.submissions.length);
 });
 
-// Method to submit assignment
-assignmentSchema.methods.submitAssignment = function(studentId, answers) {
-  // Remove existing submission if any
-  this.submissions = this.submissions.filter(
-    submission => submission.studentId.toString() !== studentId.toString()
+// Method to get when the assignment closes for a student: an extended due date
+// moves their close time back by the same amount (and never before the new due date)
+assignmentSchema.methods.getCloseAt = function(studentId) {
+  const accommodation = studentId && this.getAccommodation(studentId);
+  if (!this.closeAt || !accommodation || !accommodation.dueDate || accommodation.dueDate <= this.dueDate) {
+    return this.closeAt;
+  }
+
+  const extensionMs = accommodation.dueDate - this.dueDate;
+  return new Date(Math.max(this.closeAt.getTime() + extensionMs, accommodation.dueDate.getTime()));
+};
+
+// Method to get the status right now, taking publishAt and closeAt into account
+// (pass a student to use their own close time)
+assignmentSchema.methods.getEffectiveStatus = function(now = new Date(), studentId) {
+  if (this.status === 'draft' || this.status === 'closed') {
+    return this.status;
+  }
+
+  if (this.status === 'scheduled' && (!this.publishAt || now < this.publishAt)) {
+    return 'scheduled';
+  }
+
+  const closeAt = this.getCloseAt(studentId);
+  if (closeAt && now >= closeAt) {
+    return 'closed';
+  }
+
+  return 'published';
+};
+
+// Method to check if students can see the assignment
+assignmentSchema.methods.isVisibleToStudents = function(now = new Date()) {
+  return ['published', 'closed'].includes(this.getEffectiveStatus(now));
+};
+
+// Method to check if the assignment is set to only some students of the class
+assignmentSchema.methods.isTargeted = function() {
+  const assignedTo = this.assignedTo || {};
+  return (assignedTo.studentIds || []).length > 0 || (assignedTo.groupIds || []).length > 0;
+};
+
+// Method to check if the assignment is set to a student (needs the class for its groups)
+assignmentSchema.methods.isAssignedTo = function(studentId, classData) {
+  if (!this.isTargeted()) return true;
+
+  const studentGroupIds = classData.getStudentGroupIds(studentId);
+  return this.assignedTo.studentIds.some(id => id.equals(studentId)) ||
+    this.assignedTo.groupIds.some(groupId => studentGroupIds.some(id => id.equals(groupId)));
+};
+
+// Method to get the IDs of the class students the assignment is set to
+assignmentSchema.methods.getAssignedStudentIds = function(classData) {
+  const studentIds = classData.students.map(student => student._id || student);
+  return studentIds.filter(studentId => this.isAssignedTo(studentId, classData));
+};
+
+// Method to count how many of the assigned students have submitted
+assignmentSchema.methods.getCompletion = function(classData) {
+  const assignedIds = this.getAssignedStudentIds(classData);
+  const submitted = assignedIds.filter(studentId => this.getSubmission(studentId)).length;
+
+  return {
+    assigned: assignedIds.length,
+    submitted,
+    rate: assignedIds.length > 0 ? Math.round((submitted / assignedIds.length) * 100) : 0
+  };
+};
+
+// Method to find a student's submission
+assignmentSchema.methods.getSubmission = function(studentId) {
+  return this.submissions.find(
+    submission => submission.studentId.toString() === studentId.toString()
   );
-  
-  // Calculate score
+};
+
+// Method to find a sign video a student uploaded for a question
+assignmentSchema.methods.getResponseVideo = function(studentId, questionId, responseVideoId) {
+  const video = this.responseVideos.id(responseVideoId);
+
+  if (!video || video.studentId.toString() !== studentId.toString() ||
+    video.questionId.toString() !== questionId.toString()) {
+    return null;
+  }
+
+  return video;
+};
+
+// Method to check if a sign video is the answer in any of a student's attempts
+assignmentSchema.methods.isResponseVideoSubmitted = function(video) {
+  const submission = this.getSubmission(video.studentId);
+
+  return this.getAttempts(submission).some(attempt =>
+    attempt.answers.some(answer => String(answer.answer) === video._id.toString())
+  );
+};
+
+// Method to find a student's accommodation
+assignmentSchema.methods.getAccommodation = function(studentId) {
+  if (!studentId) return undefined;
+
+  return this.accommodations.find(
+    accommodation => accommodation.studentId.toString() === studentId.toString()
+  );
+};
+
+// Method to get the due date, time limit and attempt count that apply to a student
+assignmentSchema.methods.getEffectiveSettings = function(studentId) {
+  const accommodation = this.getAccommodation(studentId);
+
+  return {
+    dueDate: (accommodation && accommodation.dueDate) || this.dueDate,
+    timeLimitMinutes: (accommodation && accommodation.timeLimitMinutes) || this.timeLimitMinutes,
+    maxAttempts: (accommodation && accommodation.maxAttempts) || this.maxAttempts,
+    hasAccommodation: Boolean(accommodation)
+  };
+};
+
+// Method to get the attempt history of a submission (older submissions stored a single attempt inline)
+assignmentSchema.methods.getAttempts = function(submission) {
+  if (!submission) return [];
+  if (submission.attempts.length > 0) return submission.attempts;
+
+  return [{
+    attemptNumber: 1,
+    answers: submission.answers,
+    score: submission.score,
+    rawScore: submission.score,
+    percentage: submission.percentage,
+    feedback: submission.feedback,
+    submittedAt: submission.submittedAt,
+    gradedAt: submission.gradedAt,
+    gradedBy: submission.gradedBy
+  }];
+};
+
+// Method to get how many attempts a student has left
+assignmentSchema.methods.getRemainingAttempts = function(studentId) {
+  const { maxAttempts } = this.getEffectiveSettings(studentId);
+  return Math.max(maxAttempts - this.getAttempts(this.getSubmission(studentId)).length, 0);
+};
+
+// Method to get the last moment a student's submission is accepted (null when late work has no limit)
+assignmentSchema.methods.getSubmissionDeadline = function(studentId) {
+  const { dueDate } = this.getEffectiveSettings(studentId);
+
+  if (!this.allowLateSubmission) {
+    return dueDate;
+  }
+
+  if (this.lateCutoffDays === undefined || this.lateCutoffDays === null) {
+    return null;
+  }
+
+  return new Date(dueDate.getTime() + this.lateCutoffDays * 24 * 60 * 60 * 1000);
+};
+
+// Method to work out lateness and the late penalty for a student's submission time
+assignmentSchema.methods.calculateLatePenalty = function(studentId, submittedAt = new Date()) {
+  const { dueDate } = this.getEffectiveSettings(studentId);
+  const minutesLate = Math.max(Math.ceil((submittedAt - dueDate) / (60 * 1000)), 0);
+  if (minutesLate === 0) {
+    return { isLate: false, minutesLate: 0, latePenaltyApplied: 0 };
+  }
+
+  const daysLate = Math.ceil(minutesLate / (24 * 60));
+  const penalty = this.latePenaltyMode === 'per_day' ? this.latePenalty * daysLate : this.latePenalty;
+
+  return {
+    isLate: true,
+    minutesLate,
+    latePenaltyApplied: Math.min(penalty, 100)
+  };
+};
+
+// Method to check if a student can still submit an attempt
+assignmentSchema.methods.canStudentSubmit = function(studentId, now = new Date()) {
+  const deadline = this.getSubmissionDeadline(studentId);
+
+  return this.getEffectiveStatus(now, studentId) === 'published' &&
+    this.getRemainingAttempts(studentId) > 0 &&
+    (!deadline || now <= deadline);
+};
+
+// Method to get when no student can submit any more: the latest deadline across
+// the class (extensions and late windows included), each capped by that student's
+// close time. Null while someone may still submit with no time limit
+assignmentSchema.methods.getLastSubmissionTime = function() {
+  const studentIds = [undefined, ...this.accommodations.map(accommodation => accommodation.studentId)];
+  let latest = 0;
+
+  for (const studentId of studentIds) {
+    const limits = [this.getSubmissionDeadline(studentId), this.getCloseAt(studentId)].filter(Boolean);
+    if (limits.length === 0) return null;
+    latest = Math.max(latest, Math.min(...limits.map(limit => limit.getTime())));
+  }
+
+  return new Date(latest);
+};
+
+// Method to check if a student may see the answer key
+assignmentSchema.methods.isAnswerKeyReleased = function(studentId) {
+  // Never reveal the key to a student who could still use it in another attempt
+  if (this.answerKeyRelease === 'never' || this.canStudentSubmit(studentId)) {
+    return false;
+  }
+
+  const submission = this.getSubmission(studentId);
+  switch (this.answerKeyRelease) {
+    case 'after_due_date': {
+      // Not while any classmate (e.g. one with an extension) can still submit
+      if (this.status === 'closed') return true;
+      const lastSubmissionTime = this.getLastSubmissionTime();
+      return Boolean(lastSubmissionTime) && new Date() > lastSubmissionTime;
+    }
+    case 'after_grading':
+      return Boolean(submission && submission.gradedAt);
+    default:
+      return false;
+  }
+};
+
+// Method to get the questions in the order a student sees them
+assignmentSchema.methods.getDisplayedQuestions = function(studentId) {
+  const questions = [...this.questions].sort((a, b) => a.order - b.order);
+  return this.randomizeQuestions ? shuffleWithSeed(questions, seedFrom(this._id, studentId)) : questions;
+};
+
+// Method to get a question's options in the order a student sees them
+assignmentSchema.methods.getDisplayedOptions = function(question, studentId) {
+  if (!this.randomizeOptions || !SHUFFLED_OPTION_TYPES.includes(question.questionType)) {
+    return [...question.options];
+  }
+  return shuffleWithSeed(question.options, seedFrom(this._id, studentId, question._id));
+};
+
+// Method to turn answers given as positions in the student's own option order
+// (optionIndex, or optionIndexes for multi_select) into the option text that is scored
+assignmentSchema.methods.resolveDisplayedAnswers = function(studentId, answers) {
+  return answers.map(answer => {
+    const question = this.questions.id(answer.questionId);
+    if (!question || (answer.optionIndex === undefined && answer.optionIndexes === undefined)) {
+      return { questionId: answer.questionId, answer: answer.answer, timeSpent: answer.timeSpent };
+    }
+
+    const options = this.getDisplayedOptions(question, studentId);
+    const chosen = answer.optionIndexes !== undefined
+      ? answer.optionIndexes.map(index => options[index]).filter(option => option !== undefined)
+      : options[answer.optionIndex];
+
+    return { questionId: answer.questionId, answer: chosen, timeSpent: answer.timeSpent };
+  });
+};
+
+// Method to get where a submission stands: pending, needs_grading (a hand-graded
+// answer is still unscored), graded or submitted
+assignmentSchema.methods.getSubmissionStatus = function(submission) {
+  if (!submission) return 'pending';
+
+  if (this.getAttempts(submission).some(attempt => attempt.needsGrading)) {
+    return 'needs_grading';
+  }
+
+  return submission.gradedAt ? 'graded' : 'submitted';
+};
+
+// Method to build the student view: only their own submission, answer key once released
+assignmentSchema.methods.toStudentView = function(studentId) {
+  const submission = this.getSubmission(studentId);
+  const answerKeyReleased = this.isAnswerKeyReleased(studentId);
+  const settings = this.getEffectiveSettings(studentId);
+  const view = this.toObject();
+
+  // Other students' work, accommodations and targeting are private
+  delete view.submissions;
+  delete view.accommodations;
+  delete view.assignedTo;
+  view.responseVideos = view.responseVideos.filter(
+    video => video.studentId.toString() === studentId.toString()
+  );
+
+  view.status = this.getEffectiveStatus(new Date(), studentId);
+  view.closeAt = this.getCloseAt(studentId);
+  view.dueDate = settings.dueDate;
+  view.maxAttempts = settings.maxAttempts;
+  view.timeLimitMinutes = settings.timeLimitMinutes;
+  view.hasAccommodation = settings.hasAccommodation;
+  view.answerKeyReleased = answerKeyReleased;
+  view.submissionStatus = this.getSubmissionStatus(submission);
+
+  // Each student gets their own question and option order, the same on every load
+  if (this.randomizeQuestions || this.randomizeOptions) {
+    view.questions = this.getDisplayedQuestions(studentId).map((question, index) => {
+      const item = view.questions.find(viewQuestion => viewQuestion._id.toString() === question._id.toString());
+      item.options = this.getDisplayedOptions(question, studentId);
+      item.order = index + 1;
+      return item;
+    });
+  }
+  view.attemptsUsed = this.getAttempts(submission).length;
+  view.attemptsRemaining = this.getRemainingAttempts(studentId);
+
+  if (!answerKeyReleased) {
+    view.questions.forEach(stripAnswerKey);
+  }
+
+  if (submission) {
+    view.mySubmission = submission.toObject();
+
+    // Per-question results would give the answer key away
+    if (!answerKeyReleased) {
+      const answerLists = [view.mySubmission.answers, ...view.mySubmission.attempts.map(attempt => attempt.answers)];
+      answerLists.forEach(answers => answers.forEach(answer => {
+        delete answer.isCorrect;
+        delete answer.pointsEarned;
+        delete answer.rubricScores;
+      }));
+    }
+  }
+
+  return view;
+};
+
+// Method to work out the gradebook score from the attempts and the scoring policy
+assignmentSchema.methods.applyScoringPolicy = function(submission) {
+  const attempts = submission.attempts;
+  if (attempts.length === 0) return;
+
+  let counted;
+  switch (this.scoringPolicy) {
+    case 'latest':
+      counted = [attempts[attempts.length - 1]];
+      break;
+    case 'average':
+      counted = attempts;
+      break;
+    default:
+      counted = [attempts.reduce((best, attempt) => (attempt.score > best.score ? attempt : best))];
+  }
+
+  const average = (values) => Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+  const score = average(counted.map(attempt => attempt.score));
+
+  submission.score = score;
+  submission.rawScore = average(counted.map(attempt => (attempt.rawScore !== undefined ? attempt.rawScore : attempt.score)));
+  submission.percentage = this.totalPoints > 0 ? Math.round((score / this.totalPoints) * 100) : 0;
+};
+
+// Method to score a set of answers against the questions
+assignmentSchema.methods.scoreAnswers = function(answers) {
   let score = 0;
   const processedAnswers = answers.map(answer => {
     const question = this.questions.id(answer.questionId);
     let isCorrect = false;
     let pointsEarned = 0;
     
-    if (question) {
-      // Simple string comparison for now - can be enhanced for different question types
-      if (answer.answer.toLowerCase().trim() === question.correctAnswer.toLowerCase().trim()) {
-        isCorrect = true;
-        pointsEarned = question.points;
-        score += question.points;
-      }
+    let needsGrading = false;
+    
+    if (question && isManuallyGraded(question)) {
+      needsGrading = true;
+    } else if (question) {
+      const fraction = scoreQuestion(question, answer.answer);
+      isCorrect = fraction === 1;
+      pointsEarned = Math.round(fraction * question.points * 100) / 100;
+      score += pointsEarned;
     }
     
     return {
       questionId: answer.questionId,
       answer: answer.answer,
+      timeSpent: answer.timeSpent,
       isCorrect,
-      pointsEarned
+      pointsEarned,
+      needsGrading
     };
   });
   
+  score = Math.round(score * 100) / 100;
   const percentage = this.totalPoints > 0 ? Math.round((score / this.totalPoints) * 100) : 0;
   
-  // Add new submission
-  this.submissions.push({
-    studentId,
+  return {
     answers: processedAnswers,
     score,
     percentage,
-    submittedAt: new Date()
+    needsGrading: processedAnswers.some(answer => answer.needsGrading)
+  };
+};
+
+// Method to submit assignment (adds an attempt, earlier attempts are kept).
+// Timed attempts pass when they started; auto-submitted ones also pass the time they ran out.
+assignmentSchema.methods.submitAssignment = function(studentId, answers, { submittedAt = new Date(), startedAt, autoSubmitted = false } = {}) {
+  let submission = this.getSubmission(studentId);
+
+  if (submission && this.getRemainingAttempts(studentId) === 0) {
+    throw new Error('No attempts remaining');
+  }
+
+  if (!submission) {
+    this.submissions.push({ studentId });
+    submission = this.submissions[this.submissions.length - 1];
+  } else if (submission.attempts.length === 0) {
+    // Keep a submission made before attempt history existed as attempt 1
+    submission.attempts.push(this.getAttempts(submission)[0]);
+  }
+
+  const result = this.scoreAnswers(this.resolveDisplayedAnswers(studentId, answers));
+  const lateness = this.calculateLatePenalty(studentId, submittedAt);
+  const score = applyPenalty(result.score, lateness.latePenaltyApplied);
+
+  submission.attempts.push({
+    attemptNumber: submission.attempts.length + 1,
+    answers: result.answers,
+    needsGrading: result.needsGrading,
+    rawScore: result.score,
+    score,
+    percentage: this.totalPoints > 0 ? Math.round((score / this.totalPoints) * 100) : 0,
+    ...lateness,
+    startedAt,
+    autoSubmitted,
+    submittedAt
   });
+
+  submission.answers = result.answers;
+  submission.submittedAt = submittedAt;
+  submission.isLate = lateness.isLate;
+  submission.minutesLate = lateness.minutesLate;
+  this.applyScoringPolicy(submission);
+
+  // Array pushes alone are not version-checked; check the version so two
+  // submissions at once cannot both be saved (the second gets a VersionError)
+  this.increment();
   
   return this.save();
 };
 
-// Method to grade assignment
-assignmentSchema.methods.gradeAssignment = function(studentId, score, feedback, gradedBy) {
-  const submission = this.submissions.find(
-    sub => sub.studentId.toString() === studentId.toString()
-  );
+// Method to grade assignment (grades the latest attempt unless another one is given)
+assignmentSchema.methods.gradeAssignment = function(studentId, score, feedback, gradedBy, attemptNumber) {
+  const submission = this.getSubmission(studentId);
   
   if (submission) {
-    submission.score = score;
-    submission.percentage = this.totalPoints > 0 ? Math.round((score / this.totalPoints) * 100) : 0;
+    if (submission.attempts.length === 0) {
+      submission.attempts.push(this.getAttempts(submission)[0]);
+    }
+
+    const attempt = attemptNumber
+      ? submission.attempts.find(item => item.attemptNumber === attemptNumber)
+      : submission.attempts[submission.attempts.length - 1];
+
+    if (!attempt) {
+      throw new Error('Attempt not found');
+    }
+
+    // The teacher grades the work itself; any late penalty still applies on top
+    attempt.rawScore = score;
+    attempt.score = applyPenalty(score, attempt.latePenaltyApplied || 0);
+    attempt.percentage = this.totalPoints > 0 ? Math.round((attempt.score / this.totalPoints) * 100) : 0;
+    attempt.feedback = feedback;
+    attempt.needsGrading = false;
+    attempt.answers.forEach(answer => {
+      answer.needsGrading = false;
+    });
+    attempt.gradedAt = new Date();
+    attempt.gradedBy = gradedBy;
+
+    this.applyScoringPolicy(submission);
     submission.feedback = feedback;
-    submission.gradedAt = new Date();
+    submission.gradedAt = attempt.gradedAt;
     submission.gradedBy = gradedBy;
     
     return this.save();
@@ -233,4 +1030,79 @@ assignmentSchema.methods.gradeAssignment = function(studentId, score, feedback,
   throw new Error('Submission not found');
 };
 
+// Method to grade one answer by hand, with points or with the question's rubric
+// (rubric points are scaled to the question's points). Re-totals the attempt.
+assignmentSchema.methods.gradeAnswer = function(studentId, questionId, { points, rubric, rubricLevels, feedback, gradedBy, attemptNumber }) {
+  const submission = this.getSubmission(studentId);
+  if (!submission) {
+    throw new Error('Submission not found');
+  }
+
+  if (submission.attempts.length === 0) {
+    submission.attempts.push(this.getAttempts(submission)[0]);
+  }
+
+  const latestAttempt = submission.attempts[submission.attempts.length - 1];
+  const attempt = attemptNumber
+    ? submission.attempts.find(item => item.attemptNumber === attemptNumber)
+    : latestAttempt;
+
+  if (!attempt) {
+    throw new Error('Attempt not found');
+  }
+
+  const question = this.questions.id(questionId);
+  const answer = question && attempt.answers.find(item => item.questionId.equals(question._id));
+  if (!answer) {
+    throw new Error('Answer not found');
+  }
+
+  let pointsEarned = points;
+  if (rubric) {
+    const { scores, total } = rubric.scoreLevels(rubricLevels);
+    answer.rubricScores = scores;
+    pointsEarned = rubric.maxPoints > 0
+      ? Math.round((total / rubric.maxPoints) * question.points * 100) / 100
+      : 0;
+  }
+
+  if (typeof pointsEarned !== 'number' || pointsEarned < 0 || pointsEarned > question.points) {
+    throw new Error('Points must be between 0 and the question points');
+  }
+
+  const gradedAt = new Date();
+  answer.pointsEarned = pointsEarned;
+  answer.isCorrect = pointsEarned === question.points;
+  answer.needsGrading = false;
+  answer.feedback = feedback;
+  answer.gradedAt = gradedAt;
+  answer.gradedBy = gradedBy;
+
+  // Re-total the attempt; any late penalty still applies on top
+  const rawScore = Math.round(attempt.answers.reduce((sum, item) => sum + item.pointsEarned, 0) * 100) / 100;
+  attempt.rawScore = rawScore;
+  attempt.score = applyPenalty(rawScore, attempt.latePenaltyApplied || 0);
+  attempt.percentage = this.totalPoints > 0 ? Math.round((attempt.score / this.totalPoints) * 100) : 0;
+  attempt.needsGrading = attempt.answers.some(item => item.needsGrading);
+  if (!attempt.needsGrading) {
+    attempt.gradedAt = gradedAt;
+    attempt.gradedBy = gradedBy;
+  }
+
+  // The submission keeps a copy of the latest attempt's answers
+  if (attempt.attemptNumber === latestAttempt.attemptNumber) {
+    submission.answers = attempt.answers.map(item => item.toObject());
+  }
+
+  this.applyScoringPolicy(submission);
+
+  // Graded once no attempt has hand-graded answers left
+  if (!submission.attempts.some(item => item.needsGrading)) {
+    submission.gradedAt = gradedAt;
+    submission.gradedBy = gradedBy;
+  }
+
+  return this.save();
+};
+
 module.exports = mongoose.model('Assignment', assignmentSchema);
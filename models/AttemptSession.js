@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Answers are still accepted this long after a timed attempt runs out, to
+// allow for slow connections
+const GRACE_PERIOD_MS = (parseInt(process.env.TIMED_ATTEMPT_GRACE_SECONDS, 10) || 30) * 1000;
+
+// An attempt a student has started: the server-side clock for timed
+// assignments and the draft answers autosaved so far. The draft is promoted
+// to a real attempt on submit (or automatically when time runs out)
+const attemptSessionSchema = new mongoose.Schema({
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: [true, 'Assignment ID is required']
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student ID is required']
+  },
+  attemptNumber: {
+    type: Number,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the time limit runs out (not set for untimed assignments)
+  expiresAt: {
+    type: Date
+  },
+  // in_progress until the student submits, or auto_submitted when time ran out
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'auto_submitted'],
+    default: 'in_progress'
+  },
+  answers: [{
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    answer: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    timeSpent: {
+      type: Number,
+      min: 0
+    }
+  }],
+  savedAt: {
+    type: Date
+  },
+  // Bumped on every save; a save must name the version it was based on so two
+  // tabs or devices cannot overwrite each other's answers unnoticed
+  version: {
+    type: Number,
+    default: 0
+  },
+  submittedAt: {
+    type: Date
+  },
+  // Set when time ran out but the attempt could not be submitted; the draft
+  // answers are kept on the session
+  closedReason: {
+    type: String,
+    enum: ['no_attempts_left']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+attemptSessionSchema.index({ assignmentId: 1, studentId: 1, attemptNumber: 1 }, { unique: true });
+attemptSessionSchema.index({ status: 1, expiresAt: 1 });
+
+// Static method to find a student's unfinished attempt
+attemptSessionSchema.statics.findOpen = function(assignmentId, studentId) {
+  return this.findOne({ assignmentId, studentId, status: 'in_progress' });
+};
+
+// Static method to save draft answers if nobody saved since `version`.
+// Returns the updated session, or null when the version is out of date
+attemptSessionSchema.statics.saveDraft = function(sessionId, version, answers) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, status: 'in_progress', version },
+    { $set: { answers, savedAt: new Date() }, $inc: { version: 1 } },
+    { new: true, runValidators: true }
+  );
+};
+
+// Static method to close an open attempt before it is submitted. Returns null
+// when someone else (another tab or the timer) already closed it
+attemptSessionSchema.statics.claim = function(sessionId, status, submittedAt = new Date()) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, status: 'in_progress' },
+    { status, submittedAt },
+    { new: true }
+  );
+};
+
+// Static method to reopen a claimed attempt whose submission could not be saved,
+// so its answers are kept and it can be submitted again
+attemptSessionSchema.statics.release = function(sessionId) {
+  return this.updateOne(
+    { _id: sessionId, status: { $in: ['submitted', 'auto_submitted'] } },
+    { status: 'in_progress', $unset: { submittedAt: 1 } }
+  );
+};
+
+// Static method to find timed attempts whose time (plus grace period) is up
+attemptSessionSchema.statics.findExpired = function(now = new Date()) {
+  return this.find({
+    status: 'in_progress',
+    expiresAt: { $lt: new Date(now.getTime() - GRACE_PERIOD_MS) }
+  });
+};
+
+// Method to check if answers can still be accepted (time limit plus grace period)
+attemptSessionSchema.methods.isWithinTimeLimit = function(now = new Date()) {
+  return !this.expiresAt || now.getTime() <= this.expiresAt.getTime() + GRACE_PERIOD_MS;
+};
+
+// Method to get the seconds left on the clock (null for untimed attempts)
+attemptSessionSchema.methods.getSecondsRemaining = function(now = new Date()) {
+  if (!this.expiresAt) return null;
+  return Math.max(Math.ceil((this.expiresAt - now) / 1000), 0);
+};
+
+attemptSessionSchema.statics.GRACE_PERIOD_MS = GRACE_PERIOD_MS;
+
+module.exports = mongoose.model('AttemptSession', attemptSessionSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'login',
+  'login_failed',
+  'password_change',
+  'password_reset',
+  'profile_update',
+  'assignment_grade',
+  'class_student_remove',
+  'class_delete',
+  'media_delete'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  // Who did it (missing for anonymous actions such as a password reset by token)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
+  // What it was done to
+  targetType: {
+    type: String,
+    enum: ['User', 'Class', 'Assignment', 'Media'],
+    required: [true, 'Target type is required']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target ID is required']
+  },
+  // Class the action belongs to, so class teachers can read its history
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ schoolId: 1, createdAt: -1 });
+auditLogSchema.index({ classId: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+// Audit entries are append-only: block every update and delete
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+auditLogSchema.pre('deleteOne', { document: true, query: true }, rejectChange);
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
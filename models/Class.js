@@ -17,6 +17,10 @@ const classSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
   teacherId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -40,6 +44,23 @@ const classSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Assignment'
   }],
+  // Named groups of students, e.g. for remedial work set to a few students
+  groups: [{
+    name: {
+      type: String,
+      required: [true, 'Group name is required'],
+      trim: true,
+      maxlength: [50, 'Group name cannot exceed 50 characters']
+    },
+    studentIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -61,6 +82,7 @@ const classSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
+classSchema.index({ schoolId: 1 });
 classSchema.index({ teacherId: 1 });
 classSchema.index({ classCode: 1 });
 classSchema.index({ students: 1 });
@@ -102,10 +124,20 @@ classSchema.methods.addStudent = function(studentId) {
   return this.save();
 };
 
-// Method to remove student from class
+// Method to remove student from class (and from its groups)
 classSchema.methods.removeStudent = function(studentId) {
   this.students = this.students.filter(id => !id.equals(studentId));
+  this.groups.forEach(group => {
+    group.studentIds = group.studentIds.filter(id => !id.equals(studentId));
+  });
   return this.save();
 };
 
+// Method to get the IDs of the groups a student belongs to
+classSchema.methods.getStudentGroupIds = function(studentId) {
+  return this.groups
+    .filter(group => group.studentIds.some(id => id.equals(studentId)))
+    .map(group => group._id);
+};
+
 module.exports = mongoose.model('Class', classSchema);
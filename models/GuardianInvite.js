@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Unambiguous characters only (no 0/O, 1/I/L) since codes are typed by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const guardianInviteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    unique: true,
+    uppercase: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student ID is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator ID is required']
+  },
+  relationship: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Relationship cannot exceed 50 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'redeemed', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redeemedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+guardianInviteSchema.index({ code: 1 });
+guardianInviteSchema.index({ studentId: 1, status: 1 });
+
+// Generate unique invite code before saving
+guardianInviteSchema.pre('save', async function(next) {
+  if (this.isNew && !this.code) {
+    let code;
+    let isUnique = false;
+
+    while (!isUnique) {
+      const bytes = crypto.randomBytes(CODE_LENGTH);
+      code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+      const existingInvite = await this.constructor.findOne({ code });
+      isUnique = !existingInvite;
+    }
+
+    this.code = code;
+  }
+  next();
+});
+
+// Update timestamp on save
+guardianInviteSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for whether the invite can still be redeemed
+guardianInviteSchema.virtual('isRedeemable').get(function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('GuardianInvite', guardianInviteSchema);
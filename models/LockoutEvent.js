@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const lockoutEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  unlockedAt: {
+    type: Date
+  },
+  unlockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+lockoutEventSchema.index({ userId: 1, lockedAt: -1 });
+
+// Static method to mark all open lockouts of a user as manually unlocked
+lockoutEventSchema.statics.markUnlocked = function(userId, unlockedBy) {
+  return this.updateMany(
+    { userId, unlockedAt: null, lockedUntil: { $gt: new Date() } },
+    { unlockedAt: new Date(), unlockedBy }
+  );
+};
+
+module.exports = mongoose.model('LockoutEvent', lockoutEventSchema);
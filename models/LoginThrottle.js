@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Failed login tracking per IP address. A whole school can share one IP, so
+// failures from it only slow down further failed logins; a correct password
+// is never refused because of them (lockouts are per account)
+const IP_POLICY = {
+  delayAfterAttempts: parseInt(process.env.LOGIN_IP_DELAY_AFTER_ATTEMPTS, 10) || 30,
+  windowMinutes: 15,
+  maxDelaySeconds: 10
+};
+
+const loginThrottleSchema = new mongoose.Schema({
+  ipAddress: {
+    type: String,
+    required: [true, 'IP address is required'],
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastFailedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove stale records
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a failed login from an IP in one atomic update (so
+// parallel guesses cannot overwrite each other's counts). Returns the seconds
+// the failed response should be held back
+loginThrottleSchema.statics.recordFailure = async function(ipAddress) {
+  const now = new Date();
+  const windowMs = IP_POLICY.windowMinutes * 60 * 1000;
+  const inWindow = { $gt: ['$windowStartedAt', new Date(now.getTime() - windowMs)] };
+
+  // Count within the current window, or start a new one once it has passed
+  const update = [{
+    $set: {
+      failedAttempts: { $cond: [inWindow, { $add: ['$failedAttempts', 1] }, 1] },
+      windowStartedAt: { $cond: [inWindow, '$windowStartedAt', now] },
+      lastFailedAt: now,
+      expiresAt: new Date(now.getTime() + windowMs)
+    }
+  }];
+
+  let throttle;
+  try {
+    throttle = await this.findOneAndUpdate({ ipAddress }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first failures from a new IP raced to insert it; the other one won
+    if (error.code !== 11000) throw error;
+    throttle = await this.findOneAndUpdate({ ipAddress }, update, { new: true });
+  }
+
+  const extraAttempts = throttle.failedAttempts - IP_POLICY.delayAfterAttempts;
+  return extraAttempts >= 0 ? Math.min(extraAttempts + 1, IP_POLICY.maxDelaySeconds) : 0;
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const MEDIA_CATEGORIES = ['alphabet', 'number', 'word', 'sentence', 'math', 'science', 'general'];
+
 const mediaSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -34,7 +36,7 @@ const mediaSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['alphabet', 'number', 'word', 'sentence', 'math', 'science', 'general'],
+    enum: MEDIA_CATEGORIES,
     default: 'general'
   },
   classId: {
@@ -42,6 +44,10 @@ const mediaSchema = new mongoose.Schema({
     ref: 'Class',
     required: [true, 'Class ID is required']
   },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -97,6 +103,7 @@ const mediaSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 mediaSchema.index({ classId: 1 });
+mediaSchema.index({ schoolId: 1 });
 mediaSchema.index({ uploadedBy: 1 });
 mediaSchema.index({ type: 1 });
 mediaSchema.index({ category: 1 });
@@ -152,4 +159,6 @@ mediaSchema.methods.getAverageWatchPercentage = function() {
   return Math.round(totalPercentage / this.views.length);
 };
 
+mediaSchema.statics.CATEGORIES = MEDIA_CATEGORIES;
+
 module.exports = mongoose.model('Media', mediaSchema);
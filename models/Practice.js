@@ -6,6 +6,10 @@ const practiceSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Student ID is required']
   },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
   type: {
     type: String,
     enum: ['writing', 'typing', 'drawing'],
@@ -133,6 +137,7 @@ const practiceSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 practiceSchema.index({ studentId: 1 });
+practiceSchema.index({ schoolId: 1 });
 practiceSchema.index({ type: 1 });
 practiceSchema.index({ category: 1 });
 practiceSchema.index({ date: 1 });
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Media = require('./Media');
+const { questionFields, fillDisplayOptions } = require('./questionFields');
+
+// A teacher's reusable question, copied into assignments in any of their classes
+const questionBankItemSchema = new mongoose.Schema({
+  ...questionFields,
+  category: {
+    type: String,
+    enum: Media.CATEGORIES,
+    default: 'general'
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  }],
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher ID is required']
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
+  // How many assignments the question has been copied into
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+questionBankItemSchema.index({ teacherId: 1, isActive: 1 });
+questionBankItemSchema.index({ teacherId: 1, category: 1, difficulty: 1 });
+questionBankItemSchema.index({ tags: 1 });
+
+questionBankItemSchema.pre('validate', function(next) {
+  fillDisplayOptions(this);
+  next();
+});
+
+// Update timestamp on save
+questionBankItemSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to build the query for a teacher's bank from optional filters
+questionBankItemSchema.statics.buildFilter = function(teacherId, { tags, category, difficulty, questionType } = {}) {
+  const filter = { teacherId, isActive: true };
+
+  if (tags && tags.length > 0) filter.tags = { $all: tags.map(tag => tag.toLowerCase()) };
+  if (category) filter.category = category;
+  if (difficulty) filter.difficulty = difficulty;
+  if (questionType) filter.questionType = questionType;
+
+  return filter;
+};
+
+// Static method to pick random questions from a teacher's bank (skipping excludeIds)
+questionBankItemSchema.statics.drawRandom = async function(teacherId, { count, excludeIds = [], ...filters }) {
+  const match = this.buildFilter(teacherId, filters);
+  match._id = { $nin: excludeIds.map(id => new mongoose.Types.ObjectId(id)) };
+
+  // Aggregation does not cast IDs, so make sure the teacher ID is an ObjectId
+  match.teacherId = new mongoose.Types.ObjectId(teacherId);
+
+  const sampled = await this.aggregate([
+    { $match: match },
+    { $sample: { size: count } },
+    { $project: { _id: 1 } }
+  ]);
+
+  // Keep the random order of the sample
+  const items = await this.find({ _id: { $in: sampled.map(item => item._id) } });
+  return sampled.map(item => items.find(doc => doc._id.equals(item._id))).filter(Boolean);
+};
+
+// Method to copy the question into an assignment
+questionBankItemSchema.methods.toAssignmentQuestion = function() {
+  const question = {};
+  Object.keys(questionFields).forEach(field => {
+    const value = this.get(field);
+    question[field] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+  });
+
+  question.sourceQuestionId = this._id;
+  return question;
+};
+
+module.exports = mongoose.model('QuestionBankItem', questionBankItemSchema);
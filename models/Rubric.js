@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// A reusable scoring guide: each criterion has levels worth a number of points
+const rubricSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Rubric title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  criteria: {
+    type: [{
+      title: {
+        type: String,
+        required: [true, 'Criterion title is required'],
+        trim: true,
+        maxlength: [200, 'Criterion title cannot exceed 200 characters']
+      },
+      description: {
+        type: String,
+        maxlength: [500, 'Criterion description cannot exceed 500 characters']
+      },
+      // e.g. "Clear handshape" 3, "Mostly clear" 2, "Unclear" 0
+      levels: {
+        type: [{
+          label: {
+            type: String,
+            required: [true, 'Level label is required'],
+            trim: true,
+            maxlength: [100, 'Level label cannot exceed 100 characters']
+          },
+          description: {
+            type: String,
+            maxlength: [500, 'Level description cannot exceed 500 characters']
+          },
+          points: {
+            type: Number,
+            required: [true, 'Level points are required'],
+            min: [0, 'Level points cannot be negative']
+          }
+        }],
+        validate: [levels => levels.length > 0, 'Each criterion needs at least one level']
+      }
+    }],
+    validate: [criteria => criteria.length > 0, 'A rubric needs at least one criterion']
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher ID is required']
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+rubricSchema.index({ teacherId: 1 });
+rubricSchema.index({ schoolId: 1 });
+
+// Update timestamp on save
+rubricSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for the most points the rubric can give (best level of every criterion)
+rubricSchema.virtual('maxPoints').get(function() {
+  return this.criteria.reduce(
+    (total, criterion) => total + Math.max(...criterion.levels.map(level => level.points), 0),
+    0
+  );
+});
+
+// Method to add up the levels chosen for each criterion.
+// Returns the points per criterion, or throws when a criterion or level is unknown.
+rubricSchema.methods.scoreLevels = function(selections) {
+  const scores = this.criteria.map(criterion => {
+    const selection = selections.find(item => String(item.criterionId) === criterion._id.toString());
+    if (!selection) {
+      throw new Error('Choose a level for every rubric criterion');
+    }
+
+    const level = criterion.levels.id(selection.levelId);
+    if (!level) {
+      throw new Error('Invalid rubric level');
+    }
+
+    return {
+      criterionId: criterion._id,
+      levelId: level._id,
+      points: level.points
+    };
+  });
+
+  return {
+    scores,
+    total: scores.reduce((sum, score) => sum + score.points, 0)
+  };
+};
+
+module.exports = mongoose.model('Rubric', rubricSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const schoolSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'School name is required'],
+    trim: true,
+    maxlength: [200, 'School name cannot exceed 200 characters']
+  },
+  // Short code users enter when registering, e.g. "PUNEDEAF01"
+  code: {
+    type: String,
+    required: [true, 'School code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{4,12}$/, 'School code must be 4 to 12 letters or digits']
+  },
+  district: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'District cannot exceed 100 characters']
+  },
+  address: {
+    type: String,
+    maxlength: [500, 'Address cannot exceed 500 characters']
+  },
+  contactEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Security policy for the school's accounts
+  securitySettings: {
+    // Roles that must enrol in two-factor authentication before using the app
+    twoFactorRequiredRoles: [{
+      type: String,
+      enum: ['teacher', 'admin']
+    }]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+schoolSchema.index({ code: 1 });
+
+// Update timestamp on save
+schoolSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('School', schoolSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// A session is one login on one device. The refresh tokens issued for it form
+// a single rotation family: each refresh replaces the stored hash, so presenting
+// an older token means it was copied and the whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  // Same shape as Practice.deviceInfo so clients can send one object for both
+  deviceInfo: {
+    platform: String,
+    screenSize: String,
+    inputMethod: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ userId: 1 });
+// Let MongoDB remove sessions once their refresh window has passed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Update timestamp on save
+sessionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Refresh tokens look like "<sessionId>.<secret>"
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Static method to start a new session and return its first refresh token
+sessionSchema.statics.createSession = async function(userId, meta = {}) {
+  const secret = generateRandomToken();
+
+  const session = new this({
+    userId,
+    refreshTokenHash: hashToken(secret),
+    deviceInfo: meta.deviceInfo,
+    userAgent: meta.userAgent,
+    ipAddress: meta.ipAddress,
+    expiresAt: getRefreshExpiry()
+  });
+
+  await session.save();
+
+  return {
+    session,
+    refreshToken: buildRefreshToken(session._id, secret)
+  };
+};
+
+// Static method to split a refresh token into its session ID and secret
+sessionSchema.statics.parseRefreshToken = function(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+// Static method to list the sessions a user is still signed in with
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Method to exchange the current refresh token secret for a new one.
+// Returns null when the secret is not the latest one issued (token reuse).
+sessionSchema.methods.rotateRefreshToken = async function(currentSecret) {
+  const secret = generateRandomToken();
+
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      refreshTokenHash: hashToken(currentSecret),
+      revokedAt: null
+    },
+    {
+      refreshTokenHash: hashToken(secret),
+      lastUsedAt: new Date(),
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) return null;
+
+  return buildRefreshToken(this._id, secret);
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
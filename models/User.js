@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { verifyCode } = require('../utils/totp');
+
+// Login protection policy
+const LOGIN_POLICY = {
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+  attemptWindowMinutes: 15,
+  delayAfterAttempts: 3,
+  maxDelaySeconds: 30,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  maxLockoutMinutes: 24 * 60
+};
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,9 +35,15 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'teacher', 'parent'],
+    enum: ['student', 'teacher', 'parent', 'admin', 'super_admin'],
     required: [true, 'Role is required']
   },
+  // Every account except super admins belongs to exactly one school
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [function() { return this.role !== 'super_admin'; }, 'School is required']
+  },
   // Additional fields for students
   studentInfo: {
     grade: String,
@@ -34,7 +52,39 @@ const userSchema = new mongoose.Schema({
   },
   // Additional fields for parents
   parentInfo: {
-    children: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+    // Links are created by redeeming a guardian invite, never set directly
+    children: [{
+      studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      status: {
+        type: String,
+        enum: ['confirmed', 'revoked'],
+        default: 'confirmed'
+      },
+      relationship: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Relationship cannot exceed 50 characters']
+      },
+      inviteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GuardianInvite'
+      },
+      linkedAt: {
+        type: Date,
+        default: Date.now
+      },
+      revokedAt: {
+        type: Date
+      },
+      revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }]
   },
   // Additional fields for teachers
   teacherInfo: {
@@ -49,6 +99,77 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Failed login tracking for lockouts
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date
+    },
+    lockUntil: {
+      type: Date
+    },
+    // Number of lockouts since the last successful login; each one lasts longer
+    lockCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Two-factor authentication (TOTP), available to teachers and admins
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting to be confirmed with a first valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Email verification
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // Password reset (only the hash of the emailed token is stored)
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -64,6 +185,8 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ schoolId: 1, role: 1 });
+userSchema.index({ 'parentInfo.children.studentId': 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -83,6 +206,185 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Virtual for whether the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.loginSecurity.lockUntil && this.loginSecurity.lockUntil > new Date());
+});
+
+// Seconds the user must wait before the next login attempt (lockout or progressive delay)
+userSchema.methods.getLoginRetryAfter = function() {
+  const now = Date.now();
+  const { failedAttempts, lastFailedAt, lockUntil } = this.loginSecurity;
+
+  if (lockUntil && lockUntil > now) {
+    return Math.ceil((lockUntil - now) / 1000);
+  }
+
+  if (failedAttempts >= LOGIN_POLICY.delayAfterAttempts && lastFailedAt) {
+    const delaySeconds = Math.min(
+      Math.pow(2, failedAttempts - LOGIN_POLICY.delayAfterAttempts + 1),
+      LOGIN_POLICY.maxDelaySeconds
+    );
+    const waitMs = lastFailedAt.getTime() + delaySeconds * 1000 - now;
+    return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+  }
+
+  return 0;
+};
+
+// Static method to record a failed login with atomic updates, so parallel
+// guesses cannot overwrite each other's counts. Returns the updated user and
+// whether this attempt locked the account
+userSchema.statics.registerFailedLogin = async function(userId) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOGIN_POLICY.attemptWindowMinutes * 60 * 1000);
+
+  // Old failures outside the window no longer count
+  const user = await this.findByIdAndUpdate(userId, [{
+    $set: {
+      'loginSecurity.failedAttempts': {
+        $cond: [
+          { $gte: ['$loginSecurity.lastFailedAt', windowStart] },
+          { $add: ['$loginSecurity.failedAttempts', 1] },
+          1
+        ]
+      },
+      'loginSecurity.lastFailedAt': now
+    }
+  }], { new: true });
+
+  if (!user || user.loginSecurity.failedAttempts < LOGIN_POLICY.maxAttempts) {
+    return { user, locked: false };
+  }
+
+  // Only the request that still sees the full count gets to lock the account
+  const { lockCount } = user.loginSecurity;
+  const lockoutMinutes = Math.min(
+    LOGIN_POLICY.lockoutMinutes * Math.pow(2, lockCount),
+    LOGIN_POLICY.maxLockoutMinutes
+  );
+  const lockedUser = await this.findOneAndUpdate(
+    {
+      _id: userId,
+      'loginSecurity.failedAttempts': { $gte: LOGIN_POLICY.maxAttempts },
+      'loginSecurity.lockCount': lockCount
+    },
+    {
+      $set: {
+        'loginSecurity.lockUntil': new Date(now.getTime() + lockoutMinutes * 60 * 1000),
+        'loginSecurity.failedAttempts': 0
+      },
+      $inc: { 'loginSecurity.lockCount': 1 }
+    },
+    { new: true }
+  );
+
+  return lockedUser
+    ? { user: lockedUser, locked: true }
+    : { user: await this.findById(userId), locked: false };
+};
+
+// Clear failed login tracking (successful login, password reset or manual unlock)
+userSchema.methods.resetLoginFailures = function() {
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.lastFailedAt = undefined;
+  this.loginSecurity.lockUntil = undefined;
+  this.loginSecurity.lockCount = 0;
+};
+
+// Check if the user's school requires two-factor authentication for their role
+userSchema.methods.isTwoFactorRequired = async function() {
+  if (!this.schoolId) return false;
+
+  const school = await mongoose.model('School').findById(this.schoolId).select('securitySettings');
+  const requiredRoles = school?.securitySettings?.twoFactorRequiredRoles || [];
+  return requiredRoles.includes(this.role);
+};
+
+// Check whether the user still has to enrol in two-factor authentication
+userSchema.methods.needsTwoFactorSetup = async function() {
+  if (this.twoFactor.enabled) return false;
+  return this.isTwoFactorRequired();
+};
+
+// Verify a TOTP code against the active secret (requires twoFactor.secret and lastUsedStep selected)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) return false;
+
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Use up a recovery code (requires twoFactor.recoveryCodeHashes selected)
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code || '').trim().toLowerCase());
+  const index = this.twoFactor.recoveryCodeHashes.indexOf(codeHash);
+
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodeHashes.splice(index, 1);
+  return true;
+};
+
+// Replace recovery codes; returns the new codes in plain text
+userSchema.methods.setRecoveryCodes = function(codes) {
+  this.twoFactor.recoveryCodeHashes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Get IDs of children this parent has a confirmed link to
+userSchema.methods.getConfirmedChildIds = function() {
+  if (this.role !== 'parent' || !this.parentInfo) return [];
+
+  return this.parentInfo.children
+    .filter(link => link.status === 'confirmed')
+    .map(link => link.studentId);
+};
+
+// Check if this user is a confirmed guardian of a student
+userSchema.methods.isGuardianOf = function(studentId) {
+  return this.getConfirmedChildIds().some(id => id.equals(studentId));
+};
+
+// Static method to find all confirmed guardians of a student
+userSchema.statics.findGuardians = function(studentId) {
+  return this.find({
+    role: 'parent',
+    'parentInfo.children': {
+      $elemMatch: { studentId, status: 'confirmed' }
+    }
+  });
+};
+
+// Create a single-use password reset token and return it in plain text
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const token = generateRandomToken();
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Create an email verification token and return it in plain text
+userSchema.methods.createEmailVerificationToken = function(expiresInHours) {
+  const token = generateRandomToken();
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  return token;
+};
+
+// Mark the email address as verified and consume the token
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationTokenHash = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
 // Update timestamp on save
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -93,6 +395,16 @@ userSchema.pre('save', function(next) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationTokenHash;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodeHashes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
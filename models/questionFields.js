@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Question definition shared by assignments and the question bank
+
+const QUESTION_TYPES = [
+  'multiple_choice',
+  'short_answer',
+  'long_answer',
+  'true_false',
+  'multi_select',
+  'matching',
+  'ordering',
+  'fill_in_blank',
+  'sign_video'
+];
+
+const questionFields = {
+  questionText: {
+    type: String,
+    required: [true, 'Question text is required'],
+    maxlength: [1000, 'Question cannot exceed 1000 characters']
+  },
+  questionType: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'short_answer'
+  },
+  // Choices (multiple_choice, multi_select), items to arrange (ordering)
+  // or the word bank (matching)
+  options: [{
+    type: String,
+    maxlength: [200, 'Option cannot exceed 200 characters']
+  }],
+  correctAnswer: {
+    type: String,
+    maxlength: [500, 'Correct answer cannot exceed 500 characters']
+  },
+  // short_answer: other answers that also count as right (besides correctAnswer)
+  acceptedAnswers: [{
+    type: String,
+    maxlength: [500, 'Accepted answer cannot exceed 500 characters']
+  }],
+  // short_answer and fill_in_blank: spelling mistakes (edits) forgiven per answer
+  typoTolerance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Typo tolerance cannot be negative'],
+    max: [3, 'Typo tolerance cannot exceed 3']
+  },
+  // short_answer: a numeric answer counts as right anywhere in this range
+  numericRange: {
+    min: {
+      type: Number
+    },
+    max: {
+      type: Number
+    }
+  },
+  // multi_select: every option that should be selected
+  correctAnswers: [{
+    type: String,
+    maxlength: [200, 'Correct answer cannot exceed 200 characters']
+  }],
+  // matching: prompts (text and/or sign video) and the word each one matches
+  matchPairs: [{
+    prompt: {
+      type: String,
+      maxlength: [200, 'Prompt cannot exceed 200 characters']
+    },
+    promptMediaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media'
+    },
+    match: {
+      type: String,
+      required: true,
+      maxlength: [200, 'Match cannot exceed 200 characters']
+    }
+  }],
+  // ordering: the items in the right order
+  correctOrder: [{
+    type: String,
+    maxlength: [200, 'Item cannot exceed 200 characters']
+  }],
+  // fill_in_blank: accepted answers for each ___ in the question text
+  blanks: [{
+    acceptedAnswers: [{
+      type: String,
+      maxlength: [200, 'Accepted answer cannot exceed 200 characters']
+    }]
+  }],
+  // Give part of the points for partly right answers (multi-part question types)
+  partialCredit: {
+    type: Boolean,
+    default: true
+  },
+  // auto: scored on submit; manual: left for the teacher. Unset uses the
+  // question type's default (long_answer and sign_video are manual)
+  gradingMode: {
+    type: String,
+    enum: ['auto', 'manual']
+  },
+  // Sign videos or pictures shown with the question
+  mediaIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  // Rubric the teacher grades this question with
+  rubricId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric'
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+};
+
+// Matching and ordering questions show their items in alphabetical order
+// unless the teacher set the display order, so the order gives nothing away
+const fillDisplayOptions = (question) => {
+  if (question.options.length > 0) return;
+
+  if (question.questionType === 'matching') {
+    question.options = [...new Set(question.matchPairs.map(pair => pair.match))].sort();
+  } else if (question.questionType === 'ordering') {
+    question.options = [...question.correctOrder].sort();
+  }
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  questionFields,
+  fillDisplayOptions
+};
@@ -0,0 +1,87 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { verifyToken, authorize } = require('../middleware/auth');
+const {
+  listUsers,
+  deactivateUser,
+  reactivateUser,
+  resetUserPassword,
+  reassignClassOwner,
+  getSystemStats
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Validation rules
+const listUsersValidation = [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be less than 100 characters'),
+  query('role')
+    .optional()
+    .isIn(['student', 'teacher', 'parent', 'admin', 'super_admin'])
+    .withMessage('Invalid role'),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const resetPasswordValidation = [
+  body('newPassword')
+    .optional()
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+];
+
+const reassignClassValidation = [
+  body('teacherId')
+    .isMongoId()
+    .withMessage('Invalid teacher ID format')
+];
+
+const userIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+const classIdValidation = [
+  param('classId')
+    .isMongoId()
+    .withMessage('Invalid class ID format')
+];
+
+// All admin routes require an admin account (super admins act across all schools)
+router.use(verifyToken, authorize('admin', 'super_admin'));
+
+// Routes
+// List and search users
+router.get('/users', listUsersValidation, listUsers);
+
+// Deactivate user
+router.put('/users/:userId/deactivate', userIdValidation, deactivateUser);
+
+// Reactivate user
+router.put('/users/:userId/reactivate', userIdValidation, reactivateUser);
+
+// Reset user password
+router.post('/users/:userId/reset-password', userIdValidation, resetPasswordValidation, resetUserPassword);
+
+// Reassign class ownership
+router.put('/classes/:classId/owner', classIdValidation, reassignClassValidation, reassignClassOwner);
+
+// Get system-wide counts
+router.get('/stats', getSystemStats);
+
+module.exports = router;
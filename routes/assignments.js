@@ -1,20 +1,125 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const { verifyToken, authorize, isClassTeacher } = require('../middleware/auth');
+const { uploadResponseVideo, cleanupFiles } = require('../middleware/upload');
 const {
   createAssignment,
   getClassAssignments,
   getAssignmentById,
   submitAssignment,
   gradeAssignment,
+  gradeAnswer,
   updateAssignment,
   deleteAssignment,
-  getAssignmentSubmissions
+  getAssignmentSubmissions,
+  getItemAnalysis,
+  getStudentAttempts,
+  startAttempt,
+  getDraft,
+  saveDraft,
+  uploadAnswerVideo,
+  getAnswerVideo,
+  getAccommodations,
+  grantAccommodation,
+  revokeAccommodation
 } = require('../controllers/assignmentController');
+const Assignment = require('../models/Assignment');
+const Media = require('../models/Media');
+const { validateQuestionFormat } = require('../utils/questionValidation');
 
 const router = express.Router();
 
+// Check an answer is a string, a list of strings, or an object of strings
+const validateAnswerValue = (answer) => {
+  const isShortText = (value) => typeof value === 'string' && value.length <= 2000;
+
+  if (typeof answer === 'string') {
+    if (answer.trim().length === 0 || answer.length > 2000) {
+      throw new Error('Answer is required and must be less than 2000 characters');
+    }
+    return true;
+  }
+
+  if (Array.isArray(answer)) {
+    if (answer.length === 0 || answer.length > 50 || !answer.every(isShortText)) {
+      throw new Error('List answers must contain 1 to 50 text items');
+    }
+    return true;
+  }
+
+  if (answer && typeof answer === 'object') {
+    const values = Object.values(answer);
+    if (values.length === 0 || values.length > 50 || !values.every(isShortText)) {
+      throw new Error('Matching answers must map 1 to 50 prompts to text');
+    }
+    return true;
+  }
+
+  throw new Error('Answer is required');
+};
+
+// Check an answer item: an answer value, or positions in the student's own
+// option order (optionIndex for multiple choice, optionIndexes for multi-select)
+const validateAnswerItem = (item) => {
+  const isPosition = (value) => Number.isInteger(value) && value >= 0 && value < 50;
+
+  if (item && item.optionIndex !== undefined) {
+    if (!isPosition(item.optionIndex)) {
+      throw new Error('Option index must be a position in the options');
+    }
+    return true;
+  }
+
+  if (item && item.optionIndexes !== undefined) {
+    if (!Array.isArray(item.optionIndexes) || item.optionIndexes.length === 0 || !item.optionIndexes.every(isPosition)) {
+      throw new Error('Option indexes must be a list of positions in the options');
+    }
+    return true;
+  }
+
+  return validateAnswerValue(item ? item.answer : undefined);
+};
+
+// Check a draft answer item: the same as a submitted one, except a question the
+// student has not answered yet (no answer, blank text, an empty list or no
+// option chosen) is allowed
+const validateDraftAnswerItem = (item) => {
+  const answer = item ? item.answer : undefined;
+  const isBlank = answer === undefined || answer === null ||
+    (typeof answer === 'string' && answer.trim().length === 0) ||
+    (Array.isArray(answer) && answer.length === 0) ||
+    (typeof answer === 'object' && Object.keys(answer).length === 0);
+  const noOptionChosen = item && (item.optionIndex === undefined || item.optionIndex === null) &&
+    (item.optionIndexes === undefined || (Array.isArray(item.optionIndexes) && item.optionIndexes.length === 0));
+
+  if (isBlank && noOptionChosen) {
+    if (typeof answer === 'string' && answer.length > 2000) {
+      throw new Error('Answer must be less than 2000 characters');
+    }
+    return true;
+  }
+
+  return validateAnswerItem(item);
+};
+
 // Validation rules
+const assignedToValidation = [
+  body('assignedTo')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Assigned to must be an object'),
+  body(['assignedTo.studentIds', 'assignedTo.groupIds'])
+    .optional()
+    .isArray()
+    .withMessage('Assigned students and groups must be lists'),
+  body('assignedTo.studentIds.*')
+    .isMongoId()
+    .withMessage('Invalid student ID format'),
+  body('assignedTo.groupIds.*')
+    .isMongoId()
+    .withMessage('Invalid group ID format')
+];
+
 const createAssignmentValidation = [
   body('title')
     .trim()
@@ -31,7 +136,45 @@ const createAssignmentValidation = [
     .isLength({ max: 2000 })
     .withMessage('Instructions must be less than 2000 characters'),
   body('questions')
-    .isArray({ min: 1 })
+    .optional()
+    .isArray()
+    .withMessage('Questions must be a list'),
+  body('bankQuestionIds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Bank question IDs must be a list of at most 100 items'),
+  body('bankQuestionIds.*')
+    .isMongoId()
+    .withMessage('Invalid bank question ID format'),
+  body('bankDraw.count')
+    .if(body('bankDraw').exists())
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Draw between 1 and 50 bank questions')
+    .toInt(),
+  body('bankDraw.tags')
+    .optional()
+    .isArray()
+    .withMessage('Draw tags must be a list'),
+  body('bankDraw.tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each draw tag must be 1 to 50 characters'),
+  body('bankDraw.category')
+    .optional()
+    .isIn(Media.CATEGORIES)
+    .withMessage('Invalid draw category'),
+  body('bankDraw.difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Draw difficulty must be easy, medium or hard'),
+  body('bankDraw.questionType')
+    .optional()
+    .isIn(Assignment.QUESTION_TYPES)
+    .withMessage('Invalid draw question type'),
+  body()
+    .custom(value => (value.questions && value.questions.length > 0) ||
+      (value.bankQuestionIds && value.bankQuestionIds.length > 0) || value.bankDraw)
     .withMessage('At least one question is required'),
   body('questions.*.questionText')
     .trim()
@@ -39,12 +182,33 @@ const createAssignmentValidation = [
     .withMessage('Question text is required and must be less than 1000 characters'),
   body('questions.*.questionType')
     .optional()
-    .isIn(['multiple_choice', 'short_answer', 'long_answer', 'true_false'])
+    .isIn(Assignment.QUESTION_TYPES)
     .withMessage('Invalid question type'),
+  body('questions.*')
+    .custom(validateQuestionFormat),
   body('questions.*.points')
     .optional()
     .isInt({ min: 1 })
     .withMessage('Points must be a positive integer'),
+  body('questions.*.typoTolerance')
+    .optional()
+    .isInt({ min: 0, max: 3 })
+    .withMessage('Typo tolerance must be between 0 and 3'),
+  body('questions.*.gradingMode')
+    .optional()
+    .isIn(['auto', 'manual'])
+    .withMessage('Grading mode must be auto or manual'),
+  body('questions.*.rubricId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid rubric ID format'),
+  body('questions.*.mediaIds.*')
+    .isMongoId()
+    .withMessage('Invalid media ID format'),
+  body('questions.*.matchPairs.*.promptMediaId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid media ID format'),
   body('dueDate')
     .isISO8601()
     .withMessage('Due date must be a valid date'),
@@ -58,7 +222,48 @@ const createAssignmentValidation = [
   body('latePenalty')
     .optional()
     .isInt({ min: 0, max: 100 })
-    .withMessage('Late penalty must be between 0 and 100')
+    .withMessage('Late penalty must be between 0 and 100'),
+  body('latePenaltyMode')
+    .optional()
+    .isIn(['flat', 'per_day'])
+    .withMessage('Late penalty mode must be flat or per_day'),
+  body('lateCutoffDays')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Late cutoff must be a whole number of days'),
+  body('answerKeyRelease')
+    .optional()
+    .isIn(['after_due_date', 'after_grading', 'never'])
+    .withMessage('Answer key release must be after_due_date, after_grading or never'),
+  body('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published', 'closed'])
+    .withMessage('Status must be draft, scheduled, published or closed'),
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Publish time must be a valid date'),
+  body('closeAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Close time must be a valid date'),
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Max attempts must be between 1 and 20'),
+  body('scoringPolicy')
+    .optional()
+    .isIn(['highest', 'latest', 'average'])
+    .withMessage('Scoring policy must be highest, latest or average'),
+  body('timeLimitMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 600 })
+    .withMessage('Time limit must be between 1 and 600 minutes'),
+  body(['randomizeQuestions', 'randomizeOptions'])
+    .optional()
+    .isBoolean()
+    .withMessage('Randomisation settings must be boolean values'),
+  ...assignedToValidation
 ];
 
 const updateAssignmentValidation = [
@@ -87,12 +292,33 @@ const updateAssignmentValidation = [
     .withMessage('Question text is required and must be less than 1000 characters'),
   body('questions.*.questionType')
     .optional()
-    .isIn(['multiple_choice', 'short_answer', 'long_answer', 'true_false'])
+    .isIn(Assignment.QUESTION_TYPES)
     .withMessage('Invalid question type'),
+  body('questions.*')
+    .custom(validateQuestionFormat),
   body('questions.*.points')
     .optional()
     .isInt({ min: 1 })
     .withMessage('Points must be a positive integer'),
+  body('questions.*.typoTolerance')
+    .optional()
+    .isInt({ min: 0, max: 3 })
+    .withMessage('Typo tolerance must be between 0 and 3'),
+  body('questions.*.gradingMode')
+    .optional()
+    .isIn(['auto', 'manual'])
+    .withMessage('Grading mode must be auto or manual'),
+  body('questions.*.rubricId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid rubric ID format'),
+  body('questions.*.mediaIds.*')
+    .isMongoId()
+    .withMessage('Invalid media ID format'),
+  body('questions.*.matchPairs.*.promptMediaId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid media ID format'),
   body('dueDate')
     .optional()
     .isISO8601()
@@ -105,6 +331,47 @@ const updateAssignmentValidation = [
     .optional()
     .isInt({ min: 0, max: 100 })
     .withMessage('Late penalty must be between 0 and 100'),
+  body('latePenaltyMode')
+    .optional()
+    .isIn(['flat', 'per_day'])
+    .withMessage('Late penalty mode must be flat or per_day'),
+  body('lateCutoffDays')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Late cutoff must be a whole number of days'),
+  body('answerKeyRelease')
+    .optional()
+    .isIn(['after_due_date', 'after_grading', 'never'])
+    .withMessage('Answer key release must be after_due_date, after_grading or never'),
+  body('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published', 'closed'])
+    .withMessage('Status must be draft, scheduled, published or closed'),
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Publish time must be a valid date'),
+  body('closeAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Close time must be a valid date'),
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Max attempts must be between 1 and 20'),
+  body('scoringPolicy')
+    .optional()
+    .isIn(['highest', 'latest', 'average'])
+    .withMessage('Scoring policy must be highest, latest or average'),
+  body('timeLimitMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 600 })
+    .withMessage('Time limit must be between 1 and 600 minutes'),
+  body(['randomizeQuestions', 'randomizeOptions'])
+    .optional()
+    .isBoolean()
+    .withMessage('Randomisation settings must be boolean values'),
+  ...assignedToValidation,
   body('isPublished')
     .optional()
     .isBoolean()
@@ -113,15 +380,40 @@ const updateAssignmentValidation = [
 
 const submitAssignmentValidation = [
   body('answers')
-    .isArray({ min: 1 })
-    .withMessage('At least one answer is required'),
+    .optional()
+    .isArray()
+    .withMessage('Answers must be a list'),
   body('answers.*.questionId')
     .isMongoId()
     .withMessage('Invalid question ID format'),
-  body('answers.*.answer')
-    .trim()
-    .isLength({ min: 1, max: 2000 })
-    .withMessage('Answer is required and must be less than 2000 characters')
+  body('answers.*.timeSpent')
+    .optional()
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('Time spent must be a number of seconds')
+    .toInt(),
+  body('answers.*')
+    .custom(validateAnswerItem)
+];
+
+const draftValidation = [
+  body('answers')
+    .isArray()
+    .withMessage('Answers must be a list'),
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a whole number')
+    .toInt(),
+  body('answers.*.questionId')
+    .isMongoId()
+    .withMessage('Invalid question ID format'),
+  body('answers.*.timeSpent')
+    .optional()
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('Time spent must be a number of seconds')
+    .toInt(),
+  body('answers.*')
+    .custom(validateDraftAnswerItem)
 ];
 
 const gradeAssignmentValidation = [
@@ -132,7 +424,63 @@ const gradeAssignmentValidation = [
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Feedback must be less than 1000 characters')
+    .withMessage('Feedback must be less than 1000 characters'),
+  body('attemptNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Attempt number must be a positive integer')
+    .toInt()
+];
+
+const gradeAnswerValidation = [
+  body('points')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Points must be a positive number')
+    .toFloat(),
+  body('rubricLevels')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Rubric levels must be a list of criterion and level IDs'),
+  body('rubricLevels.*.criterionId')
+    .isMongoId()
+    .withMessage('Invalid criterion ID format'),
+  body('rubricLevels.*.levelId')
+    .isMongoId()
+    .withMessage('Invalid level ID format'),
+  body()
+    .custom(value => value.points !== undefined || value.rubricLevels !== undefined)
+    .withMessage('Give points or rubric levels'),
+  body('feedback')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Feedback must be less than 1000 characters'),
+  body('attemptNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Attempt number must be a positive integer')
+    .toInt()
+];
+
+const accommodationValidation = [
+  body('dueDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('timeLimitMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Time limit must be a positive number of minutes'),
+  body('maxAttempts')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Max attempts must be between 1 and 20'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
 ];
 
 const objectIdValidation = [
@@ -147,6 +495,18 @@ const classIdValidation = [
     .withMessage('Invalid class ID format')
 ];
 
+const questionIdValidation = [
+  param('questionId')
+    .isMongoId()
+    .withMessage('Invalid question ID format')
+];
+
+const responseVideoIdValidation = [
+  param('responseVideoId')
+    .isMongoId()
+    .withMessage('Invalid video ID format')
+];
+
 const studentIdValidation = [
   param('studentId')
     .isMongoId()
@@ -181,9 +541,35 @@ router.get('/:assignmentId', verifyToken, objectIdValidation, getAssignmentById)
 // Submit assignment (student only)
 router.post('/:assignmentId/submit', verifyToken, authorize('student'), objectIdValidation, submitAssignmentValidation, submitAssignment);
 
+// Start or resume an attempt; opens the clock on timed assignments (student only)
+router.post('/:assignmentId/start', verifyToken, authorize('student'), objectIdValidation, startAttempt);
+
+// Get the autosaved draft answers (student only)
+router.get('/:assignmentId/draft', verifyToken, authorize('student'), objectIdValidation, getDraft);
+
+// Autosave draft answers; send the draft version you last loaded (student only)
+router.put('/:assignmentId/draft', verifyToken, authorize('student'), objectIdValidation, draftValidation, saveDraft);
+
+// Upload a sign video answer (student only)
+router.post('/:assignmentId/questions/:questionId/video', 
+  verifyToken, 
+  authorize('student'), 
+  uploadResponseVideo, 
+  cleanupFiles,
+  objectIdValidation, 
+  questionIdValidation, 
+  uploadAnswerVideo
+);
+
+// Play back a sign video answer (the class teacher or the student who recorded it)
+router.get('/:assignmentId/videos/:responseVideoId', verifyToken, objectIdValidation, responseVideoIdValidation, getAnswerVideo);
+
 // Grade assignment (teacher only)
 router.put('/:assignmentId/grade/:studentId', verifyToken, authorize('teacher'), objectIdValidation, studentIdValidation, gradeAssignmentValidation, gradeAssignment);
 
+// Grade one answer by hand (teacher only)
+router.put('/:assignmentId/grade/:studentId/answers/:questionId', verifyToken, authorize('teacher'), objectIdValidation, studentIdValidation, questionIdValidation, gradeAnswerValidation, gradeAnswer);
+
 // Update assignment (teacher only)
 router.put('/:assignmentId', verifyToken, authorize('teacher'), objectIdValidation, updateAssignmentValidation, updateAssignment);
 
@@ -193,4 +579,19 @@ router.delete('/:assignmentId', verifyToken, authorize('teacher'), objectIdValid
 // Get assignment submissions (teacher only)
 router.get('/:assignmentId/submissions', verifyToken, authorize('teacher'), objectIdValidation, getAssignmentSubmissions);
 
+// Get per-question item analysis (teacher only)
+router.get('/:assignmentId/item-analysis', verifyToken, authorize('teacher'), objectIdValidation, getItemAnalysis);
+
+// Get all attempts of a student (teacher only)
+router.get('/:assignmentId/submissions/:studentId/attempts', verifyToken, authorize('teacher'), objectIdValidation, studentIdValidation, getStudentAttempts);
+
+// Get accommodations (teacher only)
+router.get('/:assignmentId/accommodations', verifyToken, authorize('teacher'), objectIdValidation, getAccommodations);
+
+// Grant or update a student's accommodation (teacher only)
+router.put('/:assignmentId/accommodations/:studentId', verifyToken, authorize('teacher'), objectIdValidation, studentIdValidation, accommodationValidation, grantAccommodation);
+
+// Revoke a student's accommodation (teacher only)
+router.delete('/:assignmentId/accommodations/:studentId', verifyToken, authorize('teacher'), objectIdValidation, studentIdValidation, revokeAccommodation);
+
 module.exports = router;
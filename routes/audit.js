@@ -0,0 +1,37 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { verifyToken, authorize } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { getAuditLogs } = require('../controllers/auditController');
+
+const router = express.Router();
+
+// Validation rules
+const auditQueryValidation = [
+  query('action')
+    .optional()
+    .isIn(AuditLog.ACTIONS)
+    .withMessage('Invalid audit action'),
+  query(['actorId', 'targetId', 'classId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Routes
+// Get audit log (admins for their school, teachers for their own classes)
+router.get('/', verifyToken, authorize('teacher', 'admin', 'super_admin'), auditQueryValidation, getAuditLogs);
+
+module.exports = router;
@@ -1,18 +1,45 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { verifyToken } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { verifyToken, authorize, allowTwoFactorSetup } = require('../middleware/auth');
 const {
   register,
   login,
+  verifyTwoFactorLogin,
+  refreshAccessToken,
   getProfile,
   updateProfile,
   changePassword,
-  logout
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  logout,
+  getSessions,
+  revokeSession
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
 
 const router = express.Router();
 
 // Validation rules
+const deviceInfoValidation = [
+  body('deviceInfo')
+    .optional()
+    .isObject()
+    .withMessage('Device info must be an object'),
+  body(['deviceInfo.platform', 'deviceInfo.screenSize', 'deviceInfo.inputMethod'])
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device info fields must be strings of at most 100 characters')
+];
+
 const registerValidation = [
   body('name')
     .trim()
@@ -27,7 +54,12 @@ const registerValidation = [
     .withMessage('Password must be at least 6 characters long'),
   body('role')
     .isIn(['student', 'teacher', 'parent'])
-    .withMessage('Role must be student, teacher, or parent')
+    .withMessage('Role must be student, teacher, or parent'),
+  body('schoolCode')
+    .trim()
+    .isLength({ min: 4, max: 12 })
+    .withMessage('School code is required'),
+  ...deviceInfoValidation
 ];
 
 const loginValidation = [
@@ -37,7 +69,15 @@ const loginValidation = [
     .withMessage('Please provide a valid email'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  ...deviceInfoValidation
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
 ];
 
 const updateProfileValidation = [
@@ -57,12 +97,89 @@ const changePasswordValidation = [
     .withMessage('New password must be at least 6 characters long')
 ];
 
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Recovery code must be a string'),
+  ...deviceInfoValidation
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID format')
+];
+
 // Routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
-router.get('/profile', verifyToken, getProfile);
+router.post('/2fa/verify', twoFactorLoginValidation, verifyTwoFactorLogin);
+router.post('/refresh', refreshTokenValidation, refreshAccessToken);
+router.get('/profile', allowTwoFactorSetup, verifyToken, getProfile);
 router.put('/profile', verifyToken, updateProfileValidation, updateProfile);
 router.put('/change-password', verifyToken, changePasswordValidation, changePassword);
-router.post('/logout', verifyToken, logout);
+router.post('/verify-email', verifyEmailValidation, verifyEmail);
+router.post('/resend-verification', verifyToken, resendVerificationEmail);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/logout', allowTwoFactorSetup, verifyToken, logout);
+router.get('/sessions', verifyToken, getSessions);
+router.delete('/sessions/:sessionId', verifyToken, sessionIdValidation, revokeSession);
+
+// Two-factor authentication (teachers and administrators)
+router.get('/2fa', allowTwoFactorSetup, verifyToken, authorize('teacher', 'admin', 'super_admin'), getTwoFactorStatus);
+router.post('/2fa/setup', allowTwoFactorSetup, verifyToken, authorize('teacher', 'admin', 'super_admin'), setupTwoFactor);
+router.post('/2fa/enable', allowTwoFactorSetup, verifyToken, authorize('teacher', 'admin', 'super_admin'), twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/disable', verifyToken, authorize('teacher', 'admin', 'super_admin'), disableTwoFactorValidation, disableTwoFactor);
+router.post('/2fa/recovery-codes', verifyToken, authorize('teacher', 'admin', 'super_admin'), twoFactorCodeValidation, regenerateRecoveryCodes);
 
 module.exports = router;
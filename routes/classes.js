@@ -11,7 +11,10 @@ const {
   removeStudentFromClass,
   updateClass,
   deleteClass,
-  getClassStats
+  getClassStats,
+  createGroup,
+  updateGroup,
+  deleteGroup
 } = require('../controllers/classController');
 
 const router = express.Router();
@@ -77,6 +80,41 @@ const updateClassValidation = [
     .withMessage('isActive must be a boolean value')
 ];
 
+const groupValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Group name is required and must be less than 50 characters'),
+  body('studentIds')
+    .optional()
+    .isArray()
+    .withMessage('Student IDs must be a list'),
+  body('studentIds.*')
+    .isMongoId()
+    .withMessage('Invalid student ID format')
+];
+
+const updateGroupValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Group name must be less than 50 characters'),
+  body('studentIds')
+    .optional()
+    .isArray()
+    .withMessage('Student IDs must be a list'),
+  body('studentIds.*')
+    .isMongoId()
+    .withMessage('Invalid student ID format')
+];
+
+const groupIdValidation = [
+  param('groupId')
+    .isMongoId()
+    .withMessage('Invalid group ID format')
+];
+
 const objectIdValidation = [
   param('classId')
     .isMongoId()
@@ -117,6 +155,15 @@ router.post('/:classId/students', verifyToken, authorize('teacher'), isClassTeac
 // Remove student from class (teacher only)
 router.delete('/:classId/students/:studentId', verifyToken, authorize('teacher'), isClassTeacher, studentIdValidation, removeStudentFromClass);
 
+// Create a group of students within the class (teacher only)
+router.post('/:classId/groups', verifyToken, authorize('teacher'), isClassTeacher, groupValidation, createGroup);
+
+// Update a group's name or members (teacher only)
+router.put('/:classId/groups/:groupId', verifyToken, authorize('teacher'), isClassTeacher, groupIdValidation, updateGroupValidation, updateGroup);
+
+// Delete a group (teacher only)
+router.delete('/:classId/groups/:groupId', verifyToken, authorize('teacher'), isClassTeacher, groupIdValidation, deleteGroup);
+
 // Delete class (teacher only)
 router.delete('/:classId', verifyToken, authorize('teacher'), isClassTeacher, deleteClass);
 
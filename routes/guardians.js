@@ -0,0 +1,81 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { verifyToken, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  createInvite,
+  getStudentInvites,
+  cancelInvite,
+  redeemInvite,
+  getMyChildren,
+  getStudentGuardians,
+  revokeLink
+} = require('../controllers/guardianController');
+
+const router = express.Router();
+
+// Validation rules
+const createInviteValidation = [
+  body('studentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid student ID format'),
+  body('relationship')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Relationship must be less than 50 characters')
+];
+
+const redeemInviteValidation = [
+  body('code')
+    .trim()
+    .isLength({ min: 8, max: 8 })
+    .withMessage('Invite code must be exactly 8 characters'),
+  body('relationship')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Relationship must be less than 50 characters')
+];
+
+const inviteIdValidation = [
+  param('inviteId')
+    .isMongoId()
+    .withMessage('Invalid invite ID format')
+];
+
+const studentIdValidation = [
+  param('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID format')
+];
+
+const parentIdValidation = [
+  param('parentId')
+    .isMongoId()
+    .withMessage('Invalid parent ID format')
+];
+
+// Routes
+// Create invite (student for themselves, teacher for their students)
+router.post('/invites', verifyToken, authorize('student', 'teacher'), createInviteValidation, createInvite);
+
+// Get pending invites for a student
+router.get('/invites/student/:studentId', verifyToken, authorize('student', 'teacher'), studentIdValidation, getStudentInvites);
+
+// Cancel invite
+router.delete('/invites/:inviteId', verifyToken, authorize('student', 'teacher'), inviteIdValidation, cancelInvite);
+
+// Redeem invite code (parent only, verified email required)
+router.post('/redeem', verifyToken, authorize('parent'), requireVerifiedEmail, redeemInviteValidation, redeemInvite);
+
+// Get linked children (parent only)
+router.get('/children', verifyToken, authorize('parent'), getMyChildren);
+
+// Get guardians of a student
+router.get('/student/:studentId', verifyToken, authorize('student', 'teacher'), studentIdValidation, getStudentGuardians);
+
+// Revoke guardian link
+router.delete('/student/:studentId/:parentId', verifyToken, studentIdValidation, parentIdValidation, revokeLink);
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { verifyToken, authorize } = require('../middleware/auth');
+const {
+  createQuestion,
+  getQuestions,
+  getQuestionById,
+  updateQuestion,
+  deleteQuestion
+} = require('../controllers/questionBankController');
+const Media = require('../models/Media');
+const { QUESTION_TYPES } = require('../models/questionFields');
+const { validateQuestionFormat } = require('../utils/questionValidation');
+
+const router = express.Router();
+
+// Validation rules
+const bankFieldsValidation = [
+  body('questionType')
+    .optional()
+    .isIn(QUESTION_TYPES)
+    .withMessage('Invalid question type'),
+  body('points')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Points must be a positive integer'),
+  body('typoTolerance')
+    .optional()
+    .isInt({ min: 0, max: 3 })
+    .withMessage('Typo tolerance must be between 0 and 3'),
+  body('gradingMode')
+    .optional()
+    .isIn(['auto', 'manual'])
+    .withMessage('Grading mode must be auto or manual'),
+  body('rubricId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid rubric ID format'),
+  body('mediaIds')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Attach at most 10 media files'),
+  body('mediaIds.*')
+    .isMongoId()
+    .withMessage('Invalid media ID format'),
+  body('matchPairs.*.promptMediaId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid media ID format'),
+  body('category')
+    .optional()
+    .isIn(Media.CATEGORIES)
+    .withMessage('Invalid category'),
+  body('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium or hard'),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be a list of at most 20 items'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be 1 to 50 characters')
+];
+
+const createQuestionValidation = [
+  body('questionText')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Question text is required and must be less than 1000 characters'),
+  ...bankFieldsValidation,
+  body()
+    .custom(validateQuestionFormat)
+];
+
+const updateQuestionValidation = [
+  body('questionText')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Question text must be less than 1000 characters'),
+  ...bankFieldsValidation
+];
+
+const listQuestionsValidation = [
+  query('category')
+    .optional()
+    .isIn(Media.CATEGORIES)
+    .withMessage('Invalid category'),
+  query('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium or hard'),
+  query('questionType')
+    .optional()
+    .isIn(QUESTION_TYPES)
+    .withMessage('Invalid question type'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const objectIdValidation = [
+  param('questionId')
+    .isMongoId()
+    .withMessage('Invalid question ID format')
+];
+
+// Routes
+// Add a question to the bank (teacher only)
+router.post('/', verifyToken, authorize('teacher'), createQuestionValidation, createQuestion);
+
+// Get the teacher's bank questions (filter by tags, category, difficulty, questionType, search)
+router.get('/', verifyToken, authorize('teacher'), listQuestionsValidation, getQuestions);
+
+// Get bank question by ID
+router.get('/:questionId', verifyToken, authorize('teacher'), objectIdValidation, getQuestionById);
+
+// Update bank question (teacher only)
+router.put('/:questionId', verifyToken, authorize('teacher'), objectIdValidation, updateQuestionValidation, updateQuestion);
+
+// Remove a question from the bank (teacher only)
+router.delete('/:questionId', verifyToken, authorize('teacher'), objectIdValidation, deleteQuestion);
+
+module.exports = router;
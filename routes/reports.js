@@ -1,6 +1,6 @@
 const express = require('express');
 const { param, query } = require('express-validator');
-const { verifyToken, authorize } = require('../middleware/auth');
+const { verifyToken, authorize, requireVerifiedEmail } = require('../middleware/auth');
 const {
   getStudentProgressReport,
   getClassAnalytics,
@@ -37,6 +37,6 @@ router.get('/student/:studentId', verifyToken, studentIdValidation, queryValidat
 router.get('/class/:classId', verifyToken, authorize('teacher'), classIdValidation, queryValidation, getClassAnalytics);
 
 // Get parent dashboard (parent only)
-router.get('/parent/dashboard', verifyToken, authorize('parent'), getParentDashboard);
+router.get('/parent/dashboard', verifyToken, authorize('parent'), requireVerifiedEmail, getParentDashboard);
 
 module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { verifyToken, authorize } = require('../middleware/auth');
+const {
+  createRubric,
+  getRubrics,
+  getRubricById,
+  updateRubric,
+  deleteRubric
+} = require('../controllers/rubricController');
+
+const router = express.Router();
+
+// Validation rules
+const criteriaValidation = (optional) => [
+  (optional ? body('criteria').optional() : body('criteria'))
+    .isArray({ min: 1, max: 20 })
+    .withMessage('A rubric needs 1 to 20 criteria'),
+  body('criteria.*.title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Criterion title is required and must be less than 200 characters'),
+  body('criteria.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Criterion description must be less than 500 characters'),
+  body('criteria.*.levels')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Each criterion needs 1 to 10 levels'),
+  body('criteria.*.levels.*.label')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Level label is required and must be less than 100 characters'),
+  body('criteria.*.levels.*.points')
+    .isFloat({ min: 0 })
+    .withMessage('Level points must be zero or more')
+];
+
+const createRubricValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title is required and must be less than 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  ...criteriaValidation(false)
+];
+
+const updateRubricValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be less than 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  ...criteriaValidation(true)
+];
+
+const objectIdValidation = [
+  param('rubricId')
+    .isMongoId()
+    .withMessage('Invalid rubric ID format')
+];
+
+// Routes
+// Create rubric (teacher only)
+router.post('/', verifyToken, authorize('teacher'), createRubricValidation, createRubric);
+
+// Get the teacher's rubrics
+router.get('/', verifyToken, authorize('teacher'), getRubrics);
+
+// Get rubric by ID
+router.get('/:rubricId', verifyToken, authorize('teacher'), objectIdValidation, getRubricById);
+
+// Update rubric (teacher only)
+router.put('/:rubricId', verifyToken, authorize('teacher'), objectIdValidation, updateRubricValidation, updateRubric);
+
+// Delete rubric (teacher only)
+router.delete('/:rubricId', verifyToken, authorize('teacher'), objectIdValidation, deleteRubric);
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { verifyToken, authorize } = require('../middleware/auth');
+const {
+  createSchool,
+  getSchools,
+  getSchoolById,
+  updateSchool,
+  updateSecuritySettings,
+  createSchoolAdmin,
+  moveUserToSchool
+} = require('../controllers/schoolController');
+
+const router = express.Router();
+
+// Validation rules
+const createSchoolValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('School name is required and must be less than 200 characters'),
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9]{4,12}$/)
+    .withMessage('School code must be 4 to 12 letters or digits'),
+  body('district')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('District must be less than 100 characters'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address must be less than 500 characters'),
+  body('contactEmail')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid contact email')
+];
+
+const updateSchoolValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('School name must be less than 200 characters'),
+  body('district')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('District must be less than 100 characters'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address must be less than 500 characters'),
+  body('contactEmail')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid contact email'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+const securitySettingsValidation = [
+  body('twoFactorRequiredRoles')
+    .isArray()
+    .withMessage('twoFactorRequiredRoles must be an array'),
+  body('twoFactorRequiredRoles.*')
+    .isIn(['teacher', 'admin'])
+    .withMessage('Two-factor authentication can only be required for teacher and admin roles')
+];
+
+const createSchoolAdminValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const moveUserValidation = [
+  body('schoolId')
+    .isMongoId()
+    .withMessage('Invalid school ID format')
+];
+
+const schoolIdValidation = [
+  param('schoolId')
+    .isMongoId()
+    .withMessage('Invalid school ID format')
+];
+
+const userIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+// Routes
+// Create school (super admin only)
+router.post('/', verifyToken, authorize('super_admin'), createSchoolValidation, createSchool);
+
+// Get all schools (super admin only)
+router.get('/', verifyToken, authorize('super_admin'), getSchools);
+
+// Move user to another school (super admin only)
+router.put('/users/:userId', verifyToken, authorize('super_admin'), userIdValidation, moveUserValidation, moveUserToSchool);
+
+// Get school by ID
+router.get('/:schoolId', verifyToken, schoolIdValidation, getSchoolById);
+
+// Update school (super admin only)
+router.put('/:schoolId', verifyToken, authorize('super_admin'), schoolIdValidation, updateSchoolValidation, updateSchool);
+
+// Update school security policy (super admin, or admin of the school)
+router.put('/:schoolId/security', verifyToken, authorize('admin', 'super_admin'), schoolIdValidation, securitySettingsValidation, updateSecuritySettings);
+
+// Create school administrator (super admin only)
+router.post('/:schoolId/admins', verifyToken, authorize('super_admin'), schoolIdValidation, createSchoolAdminValidation, createSchoolAdmin);
+
+module.exports = router;
@@ -1,17 +1,19 @@
 const express = require('express');
 const { param, query } = require('express-validator');
-const { verifyToken, authorize } = require('../middleware/auth');
+const { verifyToken, authorize, schoolScope, isSameSchool } = require('../middleware/auth');
 const User = require('../models/User');
+const Class = require('../models/Class');
+const LockoutEvent = require('../models/LockoutEvent');
 
 const router = express.Router();
 
-// Get all users (admin functionality - can be restricted)
+// Get all users (admin only)
 const getAllUsers = async (req, res) => {
   try {
     const { role, page = 1, limit = 10 } = req.query;
     
     // Build query
-    const query = { isActive: true };
+    const query = { isActive: true, ...schoolScope(req.user) };
     if (role) query.role = role;
 
     // Get paginated results
@@ -45,11 +47,12 @@ const getUserById = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId)
+    // Users can only look up accounts in their own school
+    const user = await User.findOne({ _id: userId, ...schoolScope(req.user) })
       .select('-password')
       .populate('studentInfo.classIds', 'name subject')
       .populate('teacherInfo.classIds', 'name subject')
-      .populate('parentInfo.children', 'name email');
+      .populate('parentInfo.children.studentId', 'name email');
 
     if (!user) {
       return res.status(404).json({
@@ -68,6 +71,91 @@ const getUserById = async (req, res) => {
   }
 };
 
+// Helper: admins manage lockouts in their school, teachers those of students in their classes
+const canManageLockouts = async (user, target) => {
+  if (!isSameSchool(user, target)) return false;
+
+  if (user.role === 'admin' || user.role === 'super_admin') return true;
+
+  if (user.role === 'teacher' && target.role === 'student') {
+    const classCount = await Class.countDocuments({ teacherId: user._id, students: target._id });
+    return classCount > 0;
+  }
+
+  return false;
+};
+
+// Get lockout state and history for a user
+const getUserLockouts = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canManageLockouts(req.user, user))) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const lockouts = await LockoutEvent.find({ userId })
+      .populate('unlockedBy', 'name email')
+      .sort({ lockedAt: -1 })
+      .limit(20);
+
+    res.json({
+      isLocked: user.isLocked,
+      lockUntil: user.isLocked ? user.loginSecurity.lockUntil : null,
+      failedAttempts: user.loginSecurity.failedAttempts,
+      lockouts
+    });
+  } catch (error) {
+    console.error('Get user lockouts error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Unlock a locked account
+const unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canManageLockouts(req.user, user))) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    user.resetLoginFailures();
+    await user.save();
+
+    await LockoutEvent.markUnlocked(user._id, req.user._id);
+
+    res.json({
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Validation rules
 const userIdValidation = [
   param('userId')
@@ -78,7 +166,7 @@ const userIdValidation = [
 const queryValidation = [
   query('role')
     .optional()
-    .isIn(['student', 'teacher', 'parent'])
+    .isIn(['student', 'teacher', 'parent', 'admin', 'super_admin'])
     .withMessage('Invalid role'),
   query('page')
     .optional()
@@ -91,10 +179,16 @@ const queryValidation = [
 ];
 
 // Routes
-// Get all users (accessible by teachers and admins)
-router.get('/', verifyToken, authorize('teacher', 'parent'), queryValidation, getAllUsers);
+// Get all users (admin only)
+router.get('/', verifyToken, authorize('admin', 'super_admin'), queryValidation, getAllUsers);
 
 // Get user by ID
 router.get('/:userId', verifyToken, userIdValidation, getUserById);
 
+// Get lockout state and history (admin or teacher of the student)
+router.get('/:userId/lockouts', verifyToken, authorize('teacher', 'admin', 'super_admin'), userIdValidation, getUserLockouts);
+
+// Unlock account (admin or teacher of the student)
+router.post('/:userId/unlock', verifyToken, authorize('teacher', 'admin', 'super_admin'), userIdValidation, unlockUser);
+
 module.exports = router;
@@ -0,0 +1,56 @@
+// Move data created before multi-school support into one school.
+// Creates the school if its code does not exist yet, then sets schoolId on
+// every user (except super admins), class, media, assignment and practice
+// record that has none.
+// Usage: npm run assign-default-school -- "<school name>" <SCHOOLCODE>
+const mongoose = require('mongoose');
+require('dotenv').config();
+const School = require('../models/School');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const Media = require('../models/Media');
+const Assignment = require('../models/Assignment');
+const Practice = require('../models/Practice');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sign_language_education';
+
+const assignDefaultSchool = async () => {
+  const [name, code] = process.argv.slice(2);
+
+  if (!name || !code) {
+    console.error('Usage: npm run assign-default-school -- "<school name>" <SCHOOLCODE>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    let school = await School.findOne({ code: code.toUpperCase() });
+    if (!school) {
+      school = await School.create({ name, code });
+      console.log(`✅ Created school ${school.name} (${school.code})`);
+    }
+
+    const missingSchool = { schoolId: { $exists: false } };
+    const update = { schoolId: school._id };
+
+    const results = await Promise.all([
+      User.updateMany({ ...missingSchool, role: { $ne: 'super_admin' } }, update),
+      Class.updateMany(missingSchool, update),
+      Media.updateMany(missingSchool, update),
+      Assignment.updateMany(missingSchool, update),
+      Practice.updateMany(missingSchool, update)
+    ]);
+
+    ['users', 'classes', 'media', 'assignments', 'practice sessions'].forEach((label, index) => {
+      console.log(`   ${label}: ${results[index].modifiedCount} updated`);
+    });
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+assignDefaultSchool().catch((err) => {
+  console.error('❌ Failed to assign default school:', err.message);
+  process.exit(1);
+});
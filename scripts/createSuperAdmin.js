@@ -0,0 +1,46 @@
+// Create a super admin account (manages schools and their administrators).
+// Usage: npm run create-super-admin -- "<name>" <email> <password>
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sign_language_education';
+
+const createSuperAdmin = async () => {
+  const [name, email, password] = process.argv.slice(2);
+
+  if (!name || !email || !password) {
+    console.error('Usage: npm run create-super-admin -- "<name>" <email> <password>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      console.error(`❌ A user already exists with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const admin = new User({
+      name,
+      email,
+      password,
+      role: 'super_admin',
+      isEmailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    await admin.save();
+
+    console.log(`✅ Super admin account created for ${admin.email}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createSuperAdmin().catch((err) => {
+  console.error('❌ Failed to create super admin:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+// Mark accounts created before email verification as verified, so existing
+// parents keep access to their children's data. Accounts registered since
+// then were sent a verification token, so unverified accounts that never had
+// one are the old ones (even if they were saved since the upgrade).
+// Usage: npm run mark-existing-emails-verified
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sign_language_education';
+
+const markExistingEmailsVerified = async () => {
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    const result = await User.updateMany(
+      { isEmailVerified: { $ne: true }, emailVerificationTokenHash: { $exists: false } },
+      { isEmailVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    console.log(`   accounts: ${result.modifiedCount} marked verified`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+markExistingEmailsVerified().catch((err) => {
+  console.error('❌ Failed to mark existing emails verified:', err.message);
+  process.exit(1);
+});
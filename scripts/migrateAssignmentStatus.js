@@ -0,0 +1,45 @@
+// Give assignments created before the publish workflow a status.
+// Assignments that were marked isPublished become published, all others
+// become drafts that only their teacher can see.
+// Assignments created before attempt history let students resubmit as often
+// as they liked, each submission replacing the last. They keep that: the
+// most attempts allowed, scored by the latest one (new assignments default
+// to a single attempt).
+// Usage: npm run migrate-assignment-status
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Assignment = require('../models/Assignment');
+
+// Highest maxAttempts an assignment allows
+const LEGACY_MAX_ATTEMPTS = 20;
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sign_language_education';
+
+const migrateAssignmentStatus = async () => {
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    const missingStatus = { status: { $exists: false } };
+
+    const published = await Assignment.updateMany(
+      { ...missingStatus, isPublished: true },
+      [{ $set: { status: 'published', publishAt: { $ifNull: ['$publishAt', '$createdAt'] } } }]
+    );
+    const drafts = await Assignment.updateMany(missingStatus, { status: 'draft' });
+    const attempts = await Assignment.updateMany(
+      { maxAttempts: { $exists: false } },
+      { maxAttempts: LEGACY_MAX_ATTEMPTS, scoringPolicy: 'latest' }
+    );
+
+    console.log(`   published: ${published.modifiedCount} updated`);
+    console.log(`   drafts: ${drafts.modifiedCount} updated`);
+    console.log(`   attempts: ${attempts.modifiedCount} updated`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateAssignmentStatus().catch((err) => {
+  console.error('❌ Failed to migrate assignment status:', err.message);
+  process.exit(1);
+});
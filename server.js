@@ -5,6 +5,11 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
+const { startAttemptTimer } = require('./utils/attemptTimer');
+const { createTransport, setTransport } = require('./utils/mailer');
+
+// Check the mail setup at startup rather than on the first email
+setTransport(createTransport());
 
 const app = express();
 
@@ -44,17 +49,27 @@ mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  // Submit timed attempts whose time has run out
+  startAttemptTimer();
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/schools', require('./routes/schools'));
+app.use('/api/guardians', require('./routes/guardians'));
 app.use('/api/classes', require('./routes/classes'));
 app.use('/api/media', require('./routes/media'));
 app.use('/api/assignments', require('./routes/assignments'));
 app.use('/api/practice', require('./routes/practice'));
 app.use('/api/reports', require('./routes/reports'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/rubrics', require('./routes/rubrics'));
+app.use('/api/question-bank', require('./routes/questionBank'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
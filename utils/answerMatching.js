@@ -0,0 +1,100 @@
+// Lenient comparison of typed answers: Unicode normalisation (so Devanagari
+// typed with different keyboards compares equal), punctuation and whitespace
+// ignored, small spelling mistakes forgiven and numbers matched by value or
+// within a range
+
+const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+
+// Helper: check a punctuation mark is part of a number (a decimal point, a
+// fraction slash or a minus sign), so "1.5", "1/2" and "-5" keep it
+const isNumberMark = (mark, before, after) => {
+  const digitAfter = /^\s*\p{Nd}/u.test(after);
+  if (mark === '/') return digitAfter && /\p{Nd}\s*$/u.test(before);
+  if (mark === '.' || mark === '-') return digitAfter && !/[\p{L}\p{M}]$/u.test(before);
+  return false;
+};
+
+// Normalise text for comparison: NFC, lower case, no punctuation (other than
+// the marks numbers need), invisible joiners or whitespace. Symbols such as
+// the pluses in "C++" are kept
+const normalizeAnswer = (value) => {
+  const text = String(value === undefined || value === null ? '' : value)
+    .normalize('NFC')
+    .toLowerCase();
+
+  return text.replace(/[\p{P}\p{Cf}\s]/gu, (mark, offset) =>
+    isNumberMark(mark, text.slice(0, offset), text.slice(offset + mark.length)) ? mark : '');
+};
+
+// Edit distance (insertions, deletions, substitutions) counted in code points
+const editDistance = (a, b) => {
+  const source = Array.from(a);
+  const target = Array.from(b);
+  let previous = Array.from({ length: target.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= target.length; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[target.length];
+};
+
+// Read a number typed with Latin or Devanagari digits; null when it is not a number
+const parseNumber = (value) => {
+  const text = String(value === undefined || value === null ? '' : value)
+    .normalize('NFC')
+    .replace(/[०-९]/g, digit => String(DEVANAGARI_DIGITS.indexOf(digit)))
+    .replace(/[\s,]/g, '');
+
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+  return Number(text);
+};
+
+// Check a typed answer against one accepted answer. Numbers are compared by
+// value. Otherwise at most `typoTolerance` edits are forgiven, and never more
+// than a quarter of the accepted answer's length, so short answers must still
+// be spelled right
+const matchesText = (answer, accepted, typoTolerance = 0) => {
+  const givenNumber = parseNumber(answer);
+  const expectedNumber = parseNumber(accepted);
+  if (givenNumber !== null && expectedNumber !== null) return givenNumber === expectedNumber;
+
+  const given = normalizeAnswer(answer);
+  const expected = normalizeAnswer(accepted);
+  if (!expected) return false;
+  if (given === expected) return true;
+
+  // A wrong digit is a wrong answer, not a spelling mistake
+  if (givenNumber !== null || expectedNumber !== null) return false;
+
+  const allowedEdits = Math.min(typoTolerance, Math.floor(Array.from(expected).length / 4));
+  return allowedEdits > 0 && editDistance(given, expected) <= allowedEdits;
+};
+
+// Check a typed answer against any of the accepted answers
+const matchesAny = (answer, acceptedAnswers, typoTolerance = 0) => {
+  return acceptedAnswers.some(accepted => matchesText(answer, accepted, typoTolerance));
+};
+
+// Check a typed number falls within an inclusive { min, max } range
+const matchesNumericRange = (answer, range) => {
+  const number = parseNumber(answer);
+  if (number === null || !range) return false;
+
+  return (range.min === undefined || range.min === null || number >= range.min) &&
+    (range.max === undefined || range.max === null || number <= range.max);
+};
+
+module.exports = {
+  normalizeAnswer,
+  editDistance,
+  matchesText,
+  matchesAny,
+  parseNumber,
+  matchesNumericRange
+};
@@ -0,0 +1,67 @@
+const Assignment = require('../models/Assignment');
+const AttemptSession = require('../models/AttemptSession');
+
+// How often the server looks for timed attempts that ran out
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Submit a timed attempt that ran out with the answers saved so far.
+// Returns the closed session (with a `closedReason` when it could not be
+// submitted), or null when the attempt was already submitted by someone else.
+const autoSubmitSession = async (session, assignment) => {
+  // Claim the attempt first so it cannot also be submitted by the student
+  const claimed = await AttemptSession.claim(session._id, 'auto_submitted');
+  if (!claimed) return null;
+
+  try {
+    const target = assignment || await Assignment.findById(claimed.assignmentId);
+    if (target && target.getRemainingAttempts(claimed.studentId) > 0) {
+      await target.submitAssignment(
+        claimed.studentId,
+        claimed.answers.map(answer => ({ questionId: answer.questionId, answer: answer.answer, timeSpent: answer.timeSpent })),
+        { submittedAt: claimed.expiresAt, startedAt: claimed.startedAt, autoSubmitted: true }
+      );
+    } else if (target) {
+      // No attempt left to submit it as: keep the draft on the session and record why
+      claimed.closedReason = 'no_attempts_left';
+      await claimed.save();
+    }
+  } catch (error) {
+    // Reopen the attempt so the next sweep submits it again
+    await AttemptSession.release(claimed._id);
+    throw error;
+  }
+
+  return claimed;
+};
+
+// Submit every timed attempt whose time and grace period are up
+const autoSubmitExpiredAttempts = async (now = new Date()) => {
+  const sessions = await AttemptSession.findExpired(now);
+  let submitted = 0;
+
+  for (const session of sessions) {
+    try {
+      const closed = await autoSubmitSession(session);
+      if (closed && !closed.closedReason) submitted++;
+    } catch (error) {
+      console.error('Auto-submit attempt error:', error);
+    }
+  }
+
+  return submitted;
+};
+
+// Run the sweep in the background (requests also check their own attempt)
+const startAttemptTimer = () => {
+  const timer = setInterval(() => {
+    autoSubmitExpiredAttempts().catch(error => console.error('Attempt timer error:', error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  autoSubmitSession,
+  autoSubmitExpiredAttempts,
+  startAttemptTimer
+};
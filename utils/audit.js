@@ -0,0 +1,46 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record a sensitive action. Never throws: a failed audit write is logged
+// but must not fail the request that was audited.
+const recordAudit = async (req, {
+  action,
+  actor = req.user,
+  schoolId = actor ? actor.schoolId : undefined,
+  targetType,
+  targetId,
+  classId,
+  before,
+  after
+}) => {
+  try {
+    await AuditLog.create({
+      action,
+      actorId: actor ? actor._id : undefined,
+      actorRole: actor ? actor.role : undefined,
+      schoolId,
+      targetType,
+      targetId,
+      classId,
+      before,
+      after,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Pick the given fields from a document for before/after snapshots
+const snapshot = (doc, fields) => {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {});
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+};
+
+module.exports = {
+  recordAudit,
+  snapshot
+};
@@ -0,0 +1,45 @@
+const { sendMail } = require('./mailer');
+
+// Build a link into the client app
+const buildClientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:19006');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// Send password reset instructions
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = buildClientUrl('/reset-password', { token });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hello ${user.name},\n\n` +
+      'We received a request to reset your password. ' +
+      `Use the link below or enter this code in the app: ${token}\n\n` +
+      `${link}\n\n` +
+      `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      'If you did not request a password reset, you can ignore this email.'
+  });
+};
+
+// Send email address verification instructions
+const sendVerificationEmail = (user, token, expiresInHours) => {
+  const link = buildClientUrl('/verify-email', { token });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hello ${user.name},\n\n` +
+      'Please confirm your email address to activate your account. ' +
+      `Use the link below or enter this code in the app: ${token}\n\n` +
+      `${link}\n\n` +
+      `This link expires in ${expiresInHours} hours.`
+  });
+};
+
+module.exports = {
+  buildClientUrl,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,200 @@
+const { normalizeAnswer } = require('./answerMatching');
+
+// Item analysis: how each question of an assignment performed across the
+// class, worked out from every student's latest attempt
+
+// Share of students in the top and bottom groups for the discrimination index
+const DISCRIMINATION_GROUP_SHARE = 0.27;
+
+// How many of the most common wrong answers to list per question
+const COMMON_WRONG_ANSWER_LIMIT = 5;
+
+// Question types whose options are counted (distractor frequency)
+const OPTION_TYPES = ['multiple_choice', 'multi_select'];
+
+// Free responses are rarely written the same way twice, so they are not grouped
+const FREE_RESPONSE_TYPES = ['long_answer', 'sign_video'];
+
+// Helper: compare options the way the scorer does (case and surrounding spaces ignored)
+const normalizeOption = (value) => String(value === undefined || value === null ? '' : value).toLowerCase().trim();
+
+// Helper: check an answer has anything in it
+const hasValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return Object.keys(value).length > 0;
+  return value !== undefined && value !== null && String(value).trim().length > 0;
+};
+
+// Helper: a readable form of an answer, and a key that groups answers written slightly differently
+const describeAnswer = (question, value) => {
+  if (Array.isArray(value)) {
+    const items = question.questionType === 'multi_select' ? [...value].sort() : value;
+    return { text: items.join(', '), key: items.map(normalizeAnswer).join('|') };
+  }
+
+  if (value && typeof value === 'object') {
+    const pairs = question.matchPairs
+      .filter(pair => value[pair._id.toString()] !== undefined)
+      .map(pair => ({ prompt: pair.prompt || pair._id.toString(), match: value[pair._id.toString()] }));
+    return {
+      text: pairs.map(pair => `${pair.prompt}: ${pair.match}`).join(', '),
+      key: pairs.map(pair => `${pair.prompt}=${normalizeAnswer(pair.match)}`).join('|')
+    };
+  }
+
+  return { text: String(value), key: normalizeAnswer(value) };
+};
+
+// Helper: average of a list of numbers, rounded to two decimals (null for an empty list)
+const average = (values) => {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+};
+
+// Helper: how often each option was chosen
+const countOptions = (question, answers) => {
+  const correct = question.questionType === 'multi_select'
+    ? question.correctAnswers.map(normalizeOption)
+    : [normalizeOption(question.correctAnswer)];
+
+  const options = question.options.map(option => ({
+    option,
+    isCorrect: correct.includes(normalizeOption(option)),
+    count: 0,
+    percentage: 0
+  }));
+
+  answers.forEach(answer => {
+    const chosen = new Set((Array.isArray(answer.answer) ? answer.answer : [answer.answer]).map(normalizeOption));
+    options.forEach(option => {
+      if (chosen.has(normalizeOption(option.option))) option.count++;
+    });
+  });
+
+  options.forEach(option => {
+    option.percentage = answers.length > 0 ? Math.round((option.count / answers.length) * 100) : 0;
+  });
+
+  return options;
+};
+
+// Helper: the most common wrong answers, grouped by their normalised form
+const findCommonWrongAnswers = (question, answers) => {
+  const groups = new Map();
+
+  answers
+    .filter(answer => !answer.isCorrect)
+    .forEach(answer => {
+      const { text, key } = describeAnswer(question, answer.answer);
+      const group = groups.get(key) || { answer: text, count: 0 };
+      group.count++;
+      groups.set(key, group);
+    });
+
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, COMMON_WRONG_ANSWER_LIMIT);
+};
+
+// Analyse one question. Each result is a student's attempt total and their answers by question ID
+const analyzeQuestion = (question, results, upperGroup, lowerGroup) => {
+  const questionId = question._id.toString();
+  const answered = [];
+  let skipped = 0;
+  let awaitingGrading = 0;
+
+  // Item score per student: the share of the question's points earned
+  // (students who skipped it scored 0, answers still to be hand-graded are left out)
+  const itemScores = new Map();
+
+  results.forEach(result => {
+    const answer = result.answers.get(questionId);
+
+    if (!answer || !hasValue(answer.answer)) {
+      skipped++;
+      itemScores.set(result, 0);
+      return;
+    }
+
+    if (answer.needsGrading) {
+      awaitingGrading++;
+      return;
+    }
+
+    answered.push(answer);
+    itemScores.set(result, question.points > 0 ? answer.pointsEarned / question.points : (answer.isCorrect ? 1 : 0));
+  });
+
+  const scored = answered.length + skipped;
+  const correct = answered.filter(answer => answer.isCorrect).length;
+
+  // Discrimination index: how much better the top group did on this question than the bottom group
+  const upperScores = upperGroup.filter(result => itemScores.has(result)).map(result => itemScores.get(result));
+  const lowerScores = lowerGroup.filter(result => itemScores.has(result)).map(result => itemScores.get(result));
+  const discriminationIndex = upperScores.length > 0 && lowerScores.length > 0
+    ? Math.round((average(upperScores) - average(lowerScores)) * 100) / 100
+    : null;
+
+  const times = answered
+    .map(answer => answer.timeSpent)
+    .filter(timeSpent => typeof timeSpent === 'number');
+
+  const analysis = {
+    questionId: question._id,
+    order: question.order,
+    questionText: question.questionText,
+    questionType: question.questionType,
+    points: question.points,
+    responses: answered.length + awaitingGrading,
+    skipped,
+    awaitingGrading,
+    correct,
+    percentCorrect: scored > 0 ? Math.round((correct / scored) * 100) : null,
+    discriminationIndex,
+    averageTimeSeconds: times.length > 0 ? Math.round(average(times)) : null,
+    commonWrongAnswers: FREE_RESPONSE_TYPES.includes(question.questionType)
+      ? []
+      : findCommonWrongAnswers(question, answered)
+  };
+
+  if (OPTION_TYPES.includes(question.questionType)) {
+    analysis.options = countOptions(question, answered);
+  }
+
+  return analysis;
+};
+
+// Analyse every question of an assignment
+const analyzeItems = (assignment) => {
+  const results = assignment.submissions
+    .map(submission => {
+      const attempts = assignment.getAttempts(submission);
+      return attempts[attempts.length - 1];
+    })
+    .filter(Boolean)
+    .map(attempt => ({
+      // Ranked on the work itself, before any late penalty
+      total: attempt.rawScore !== undefined ? attempt.rawScore : attempt.score,
+      answers: new Map(attempt.answers.map(answer => [answer.questionId.toString(), answer]))
+    }));
+
+  const ranked = [...results].sort((a, b) => b.total - a.total);
+
+  // At least one student per group, and the two groups never overlap
+  const groupSize = Math.min(
+    Math.max(Math.round(ranked.length * DISCRIMINATION_GROUP_SHARE), 1),
+    Math.floor(ranked.length / 2)
+  );
+  const upperGroup = ranked.slice(0, groupSize);
+  const lowerGroup = groupSize > 0 ? ranked.slice(-groupSize) : [];
+
+  return {
+    students: results.length,
+    discriminationGroupSize: groupSize,
+    questions: assignment.questions.map(question => analyzeQuestion(question, results, upperGroup, lowerGroup))
+  };
+};
+
+module.exports = {
+  analyzeItems
+};
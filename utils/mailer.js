@@ -0,0 +1,88 @@
+const path = require('path');
+const fs = require('fs-extra');
+const nodemailer = require('nodemailer');
+
+// Transports that keep messages on this machine, for development and testing only
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+// Helper: hide reset and verification tokens (long hex strings) in logged messages
+const redactTokens = (text) => String(text).replace(/[0-9a-f]{32,}/gi, '[redacted]');
+
+// Mail transports:
+// - smtp: any SMTP server, including a local stand-in such as MailHog
+// - file: writes each message as JSON into MAIL_FILE_DIR (useful in tests)
+// - console: logs each message with its tokens redacted (default outside production)
+// Production must name its transport, and cannot use the local ones
+const createTransport = (type = process.env.MAIL_TRANSPORT) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  if (!type) {
+    if (isProduction) {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    type = 'console';
+  }
+
+  if (isProduction && LOCAL_TRANSPORTS.includes(type)) {
+    throw new Error(`The ${type} mail transport is for development and testing only`);
+  }
+
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file':
+      return {
+        sendMail: async (message) => {
+          const dir = path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+          await fs.ensureDir(dir);
+          const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+          await fs.writeJson(path.join(dir, filename), message, { spaces: 2 });
+          return { messageId: filename };
+        }
+      };
+    case 'console':
+      return {
+        sendMail: async (message) => {
+          console.log('📧 Email:', redactTokens(JSON.stringify(message, null, 2)));
+          return { messageId: `console-${Date.now()}` };
+        }
+      };
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+let transport = null;
+
+// Replace the active transport (any object with an async sendMail(message))
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  return transport.sendMail({
+    from: process.env.MAIL_FROM || 'Sign Language Education <no-reply@signlanguage.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  sendMail
+};
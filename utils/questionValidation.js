@@ -0,0 +1,98 @@
+// Check the answer key fields each question type needs
+const validateQuestionFormat = (question) => {
+  const isTextList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+  const options = question.options || [];
+  // Questions sent without a type are saved as short answers
+  const questionType = question.questionType || 'short_answer';
+
+  if (questionType === 'sign_video' && question.gradingMode === 'auto') {
+    throw new Error('Sign video questions can only be graded by hand');
+  }
+
+  switch (questionType) {
+    case 'multiple_choice':
+      if (!isTextList(options) || options.length < 2) {
+        throw new Error('Multiple choice questions need at least two options');
+      }
+      if (!options.includes(question.correctAnswer)) {
+        throw new Error('The correct answer must be one of the options');
+      }
+      break;
+    case 'true_false':
+      if (!['true', 'false'].includes(String(question.correctAnswer).toLowerCase())) {
+        throw new Error('True/false questions need a correct answer of true or false');
+      }
+      break;
+    case 'multi_select':
+      if (!isTextList(options) || options.length < 2) {
+        throw new Error('Multi-select questions need at least two options');
+      }
+      if (!isTextList(question.correctAnswers) || question.correctAnswers.length === 0 ||
+        !question.correctAnswers.every(answer => options.includes(answer))) {
+        throw new Error('Multi-select questions need correct answers chosen from the options');
+      }
+      break;
+    case 'matching':
+      if (!Array.isArray(question.matchPairs) || question.matchPairs.length < 2 ||
+        !question.matchPairs.every(pair => pair && (pair.prompt || pair.promptMediaId) && typeof pair.match === 'string' && pair.match.trim())) {
+        throw new Error('Matching questions need at least two pairs, each with a prompt or sign video and a match');
+      }
+      break;
+    case 'short_answer': {
+      const range = question.numericRange;
+      const acceptedAnswers = question.acceptedAnswers || [];
+      if (!isTextList(acceptedAnswers)) {
+        throw new Error('Accepted answers must be a list of text');
+      }
+      if (range !== undefined && range !== null) {
+        const bounds = [range.min, range.max].filter(bound => bound !== undefined && bound !== null);
+        if (bounds.length === 0 || !bounds.every(bound => typeof bound === 'number' && Number.isFinite(bound))) {
+          throw new Error('A numeric range needs a numeric min, max or both');
+        }
+        if (bounds.length === 2 && range.min > range.max) {
+          throw new Error('The numeric range minimum cannot be above its maximum');
+        }
+      }
+      if (question.gradingMode !== 'manual' && !question.correctAnswer && acceptedAnswers.length === 0 && !range) {
+        throw new Error('Short answer questions need a correct answer, accepted answers or a numeric range');
+      }
+      break;
+    }
+    case 'ordering':
+      if (!isTextList(question.correctOrder) || question.correctOrder.length < 2) {
+        throw new Error('Ordering questions need at least two items in the correct order');
+      }
+      if (options.length > 0 && [...options].sort().join('\n') !== [...question.correctOrder].sort().join('\n')) {
+        throw new Error('Ordering options must contain the same items as the correct order');
+      }
+      break;
+    case 'fill_in_blank': {
+      const blankCount = (String(question.questionText).match(/_{3,}/g) || []).length;
+      if (!Array.isArray(question.blanks) || question.blanks.length === 0 ||
+        !question.blanks.every(blank => blank && isTextList(blank.acceptedAnswers) && blank.acceptedAnswers.length > 0)) {
+        throw new Error('Fill-in-the-blank questions need at least one accepted answer for each blank');
+      }
+      if (blankCount !== question.blanks.length) {
+        throw new Error('Mark each blank in the question text with ___ (one per blank)');
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  return true;
+};
+
+// Every media item a question shows: its attachments and any sign video prompts in matching pairs
+const collectMediaIds = (question) => {
+  const promptMediaIds = (question.matchPairs || [])
+    .filter(pair => pair && pair.promptMediaId)
+    .map(pair => pair.promptMediaId);
+  return [...new Set([...(question.mediaIds || []), ...promptMediaIds].map(String))];
+};
+
+module.exports = {
+  validateQuestionFormat,
+  collectMediaIds
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// Deterministic shuffling: the same seed always gives the same order, so a
+// student sees the same layout every time they reload an assignment
+
+// Turn any values (e.g. assignment, student and question IDs) into a 32-bit seed
+const seedFrom = (...parts) => {
+  return crypto.createHash('sha256').update(parts.map(String).join(':')).digest().readUInt32BE(0);
+};
+
+// Small fast pseudo-random generator (mulberry32), returns numbers in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Return a shuffled copy of the items (Fisher-Yates)
+const shuffleWithSeed = (items, seed) => {
+  const random = createRandom(seed);
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+module.exports = {
+  seedFrom,
+  shuffleWithSeed
+};
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Generate a random URL-safe token
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token before storing it (tokens are never stored in plain text)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};